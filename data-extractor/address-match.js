@@ -0,0 +1,162 @@
+/**
+ * Scored matching of gateway address search hits against OSM address tags.
+ *
+ * Each hit gets a confidence in [0, 1]:
+ *   - ref:LV:addr equal to the hit's address code => 1 (authoritative); a different code caps the score at 0.3
+ *   - otherwise a weighted sum of
+ *       house number  0.45  exact (case/space-insensitive) match only: 12 vs 12A scores 0
+ *       street        0.40  squared bigram similarity after normalising street type spelling (iela/i., pr., …);
+ *                           addr:place stands in for the street of a numbered house without one
+ *       house name    0.85  squared bigram similarity (named rural houses without a number, quotes ignored)
+ *       city          0.15  addr:city (else addr:place / addr:subdistrict) present in the hit, pag. / nov. ignored
+ *     (weights of tags missing on the OSM side are left out and the rest rescaled)
+ *
+ * Hits are objects from `addresses/search`; the label is taken from address/label/name/text and the
+ * structured fields (street, house, city, code) are used when present.
+ */
+
+const STREET_TYPES = [
+    [/\bi\.?(?=\s|$)/g, 'iela'],
+    [/\bpr(osp)?\.?(?=\s|$)/g, 'prospekts'],
+    [/\bbulv\.?(?=\s|$)/g, 'bulvaris'],
+    [/\bg\.?(?=\s|$)/g, 'gatve'],
+    [/\bsos\.?(?=\s|$)/g, 'soseja'],
+    [/\blauk\.?(?=\s|$)/g, 'laukums'],
+    [/\bkrastm\.?(?=\s|$)/g, 'krastmala'],
+];
+
+const WEIGHTS = { house: 0.45, street: 0.4, name: 0.85, city: 0.15 };
+
+function normalizeText(str) {
+    return (str || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9.]+/g, ' ')
+        .trim();
+}
+
+function normalizeStreet(str) {
+    let s = normalizeText(str);
+    for (const [re, full] of STREET_TYPES) s = s.replace(re, full);
+    return s.replace(/\./g, '').replace(/\s+/g, ' ').trim();
+}
+
+/** Locality without its type word, so "Mārupes pagasts" matches "Mārupes pag.". */
+function normalizeLocality(str) {
+    return normalizeText(str).replace(/\b(pagasts|pag|novads|nov)\b\.?/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function normalizeHouse(str) {
+    return normalizeText(str).replace(/[\s.]+/g, '');
+}
+
+function bigrams(str) {
+    const s = str.replace(/\s+/g, ' ');
+    const out = [];
+    for (let i = 0; i < s.length - 1; i++) out.push(s.slice(i, i + 2));
+    return out;
+}
+
+/** Sørensen–Dice coefficient on character bigrams (0..1). */
+function similarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    const A = bigrams(a);
+    const B = bigrams(b);
+    if (!A.length || !B.length) return 0;
+    const counts = new Map();
+    for (const g of A) counts.set(g, (counts.get(g) || 0) + 1);
+    let overlap = 0;
+    for (const g of B) {
+        const c = counts.get(g);
+        if (c) { overlap++; counts.set(g, c - 1); }
+    }
+    return (2 * overlap) / (A.length + B.length);
+}
+
+function hitLabel(hit) {
+    return hit.address || hit.label || hit.name || hit.fullAddress || hit.text || '';
+}
+
+/** Split a hit into { street, house, name, city, code } using structured fields first, label as fallback. */
+function parseHit(hit) {
+    const label = hitLabel(hit);
+    const segments = label.split(',').map(s => s.trim()).filter(Boolean);
+    let street = hit.street || hit.streetName || null;
+    let house = hit.house || hit.houseNumber || hit.houseNo || null;
+    let name = hit.houseName || null;
+    if ((!street || !house) && segments.length) {
+        // "Brīvības iela 1A" -> street "Brīvības iela", house "1A"; "“Kalnieši”" -> house name
+        const m = segments[0].match(/^(.*?)\s+(\d+[\p{L}\d/-]*(?:\s?k-?\d+)?)$/u);
+        if (m) {
+            if (!street) street = m[1];
+            if (!house) house = m[2];
+        } else if (!street) {
+            street = segments[0];
+            if (!name) name = segments[0].replace(/["“”„']/g, '');
+        }
+    }
+    const city = hit.city || hit.cityName || null;
+    const code = hit.arisCode ?? hit.addressCode ?? hit.code ?? hit.adrCode ?? null;
+    return { label, street, house, name, city, code: code != null ? String(code) : null, rest: normalizeText(segments.slice(1).join(' ')) };
+}
+
+/** Score a single hit against OSM address tags. Returns a number in [0, 1]. */
+function scoreHit(hit, props) {
+    const parsed = parseHit(hit);
+    const ref = props['ref:LV:addr'] != null ? String(props['ref:LV:addr']) : null;
+    if (ref && parsed.code === ref) return 1;
+    let total = 0;
+    let weight = 0;
+    const osmHouse = props['addr:housenumber'];
+    if (osmHouse) {
+        weight += WEIGHTS.house;
+        if (parsed.house && normalizeHouse(parsed.house) === normalizeHouse(osmHouse)) total += WEIGHTS.house;
+    }
+    const osmStreet = props['addr:street'] || (osmHouse ? props['addr:place'] : null);
+    if (osmStreet) {
+        weight += WEIGHTS.street;
+        // Squared so near-miss names (Brīvības iela vs Brīvības gatve) fall well below an exact match
+        total += WEIGHTS.street * similarity(normalizeStreet(parsed.street), normalizeStreet(osmStreet)) ** 2;
+    }
+    const osmName = !osmHouse ? props['addr:housename'] : null;
+    if (osmName) {
+        weight += WEIGHTS.name;
+        total += WEIGHTS.name * similarity(normalizeText(parsed.name), normalizeText(osmName)) ** 2;
+    }
+    const osmCity = props['addr:city'] || (osmStreet === props['addr:place'] ? null : props['addr:place']) || props['addr:subdistrict'];
+    if (osmCity) {
+        weight += WEIGHTS.city;
+        const c = normalizeLocality(osmCity);
+        const inHit = parsed.city ? normalizeLocality(parsed.city) === c : ` ${normalizeLocality(parsed.rest)} `.includes(` ${c} `);
+        if (inHit) total += WEIGHTS.city;
+    }
+    let score = weight ? total / weight : 0;
+    if (ref && parsed.code && parsed.code !== ref) score = Math.min(score, 0.3);
+    return Math.round(score * 1000) / 1000;
+}
+
+/**
+ * Pick the best-scoring hit. Returns { hit, addressKey, confidence, label, candidates } or null when
+ * there are no hits. Ties keep the gateway's order.
+ */
+function selectAddressHit(hits, props) {
+    if (!Array.isArray(hits) || !hits.length) return null;
+    let best = null;
+    for (const hit of hits) {
+        if (!hit || !hit.addressKey) continue;
+        const confidence = scoreHit(hit, props);
+        if (!best || confidence > best.confidence) best = { hit, confidence };
+    }
+    if (!best) return null;
+    return {
+        hit: best.hit,
+        addressKey: best.hit.addressKey,
+        confidence: best.confidence,
+        label: hitLabel(best.hit),
+        candidates: hits.length,
+    };
+}
+
+module.exports = { selectAddressHit, scoreHit, parseHit, normalizeStreet, normalizeText, similarity };
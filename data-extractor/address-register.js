@@ -0,0 +1,257 @@
+/**
+ * Official Latvian addresses from the State Land Service address register (VZD / ARIS open data,
+ * https://data.gov.lv/dati/lv/dataset/valsts-adresu-registra-informacijas-sistemas-atvertie-telpiskie-dati).
+ *
+ * The buildings file (AW_EKA.CSV, `addressRegister.file`, default register/AW_EKA.CSV) is read once per
+ * run. Columns are taken from its header: KODS (address code), STD (full address, e.g.
+ * "Laipu iela 2, Bukulti, Garkalnes pag., Ropažu nov., LV-2137"), optional STATUSS (only EKS = existing
+ * is kept) and DD_N / DD_E (WGS84 lat / lon). Fields are separated by `;` (or `,`) and quoted with `#`
+ * (or `"`).
+ *
+ * A feature is matched
+ *   1. by ref:LV:addr when the code is in the register, otherwise
+ *   2. by normalised street + house number (addr:place + number without a street) or by house name,
+ *      narrowed by addr:city / addr:place (the register's city / village, parish or county name),
+ *      addr:postcode and finally by distance: the nearest register address within `maxDistanceMeters` of
+ *      the feature's representative point, when no other one is that close.
+ * The matched entry replaces street, house number, house name, city, parish (addr:subdistrict), county
+ * (addr:district), postcode and ref:LV:addr with the official values. No register file means no matching.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { loadConfig } = require('./config');
+const { normalizeStreet, normalizeText } = require('./address-match');
+const { getPointFromGeometry } = require('./boundaries');
+
+const METERS_PER_DEG_LAT = 110540;
+const METERS_PER_DEG_LON = 111320;
+
+let registerPromise = null;
+const counters = { lookups: 0, ref: 0, address: 0, nearest: 0, ambiguous: 0, unmatched: 0, corrected: 0 };
+
+function registerOptions() {
+    const cfg = loadConfig().addressRegister || {};
+    return {
+        file: cfg.file ? path.resolve(__dirname, cfg.file) : null,
+        maxDistanceMeters: Number(cfg.maxDistanceMeters) || 0,
+    };
+}
+
+function normalizeHouse(str) {
+    return normalizeText(str).replace(/[\s.]+/g, '');
+}
+
+/** City, parish or county name without its type word: "Garkalnes pag." / "Garkalnes pagasts" -> "garkalnes". */
+function normalizeLocality(str) {
+    return normalizeText(str).replace(/\s*\b(pag|pagasts|nov|novads|pilseta)\b\.?$/, '').trim();
+}
+
+function splitLine(line, delimiter, quote) {
+    const out = [];
+    let cur = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === quote && line[i + 1] === quote) { cur += ch; i++; }
+            else if (ch === quote) quoted = false;
+            else cur += ch;
+        } else if (ch === quote) quoted = true;
+        else if (ch === delimiter) { out.push(cur); cur = ''; }
+        else cur += ch;
+    }
+    out.push(cur);
+    return out;
+}
+
+/**
+ * Split a register address into its parts. Segments are classified one by one, so the order does not
+ * matter: "<street> <house>", a quoted house name, "… pag.", "… nov.", "LV-1234"; the first other segment
+ * is the city or village.
+ */
+function parseRegisterAddress(std) {
+    const parts = { street: null, house: null, name: null, city: null, parish: null, county: null, postcode: null };
+    for (const raw of String(std || '').split(',')) {
+        const seg = raw.trim();
+        if (!seg) continue;
+        let m;
+        if (/^LV-?\d{4}$/i.test(seg)) parts.postcode = seg.toUpperCase().replace(/^LV-?/, 'LV-');
+        else if ((m = /^(.+?)\s+(pag\.|pagasts)$/i.exec(seg))) parts.parish = `${m[1]} pagasts`;
+        else if ((m = /^(.+?)\s+(nov\.|novads)$/i.exec(seg))) parts.county = `${m[1]} novads`;
+        else if (/^["“„'].*["”']$/.test(seg)) parts.name = seg.replace(/^["“„']|["”']$/g, '');
+        else if (!parts.street && (m = /^(.*?)\s+(\d+[\p{L}\d/-]*(?:\s?k-?\d+)?)$/u.exec(seg))) {
+            parts.street = m[1];
+            parts.house = m[2];
+        } else if (!parts.city) parts.city = seg;
+    }
+    return parts;
+}
+
+function addToIndex(index, key, entry) {
+    const list = index.get(key);
+    if (list) list.push(entry); else index.set(key, [entry]);
+}
+
+async function readRegister(file) {
+    const byCode = new Map();
+    const byStreetHouse = new Map(); // "street|house" -> [entry]
+    const byName = new Map(); // house name -> [entry]
+    const rl = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+    let columns = null;
+    let delimiter = ';';
+    let quote = '#';
+    for await (const rawLine of rl) {
+        const line = columns ? rawLine : rawLine.replace(/^\uFEFF/, '');
+        if (!line.trim()) continue;
+        if (!columns) {
+            delimiter = line.includes(';') ? ';' : ',';
+            quote = line.trimStart().startsWith('"') ? '"' : '#';
+            const names = splitLine(line, delimiter, quote).map(n => n.trim().toUpperCase());
+            columns = { code: names.indexOf('KODS'), std: names.indexOf('STD'), status: names.indexOf('STATUSS'), lat: names.indexOf('DD_N'), lon: names.indexOf('DD_E') };
+            if (columns.code === -1 || columns.std === -1) throw new Error(`${path.basename(file)}: expected KODS and STD columns in the header`);
+            continue;
+        }
+        const f = splitLine(line, delimiter, quote);
+        if (columns.status !== -1 && f[columns.status] && f[columns.status] !== 'EKS') continue;
+        const parts = parseRegisterAddress(f[columns.std]);
+        const lat = columns.lat !== -1 ? Number(f[columns.lat]) : NaN;
+        const lon = columns.lon !== -1 ? Number(f[columns.lon]) : NaN;
+        const entry = { code: String(f[columns.code]).trim(), address: f[columns.std], ...parts, point: isFinite(lat) && isFinite(lon) && lat && lon ? [lon, lat] : null };
+        byCode.set(entry.code, entry);
+        if (entry.street && entry.house) addToIndex(byStreetHouse, `${normalizeStreet(entry.street)}|${normalizeHouse(entry.house)}`, entry);
+        if (entry.name) addToIndex(byName, normalizeText(entry.name), entry);
+    }
+    return { byCode, byStreetHouse, byName };
+}
+
+/** The register index, or null when no register file is configured / present. Loaded once. */
+function loadAddressRegister() {
+    if (registerPromise) return registerPromise;
+    const { file } = registerOptions();
+    if (!file || !fs.existsSync(file)) {
+        registerPromise = Promise.resolve(null);
+    } else {
+        registerPromise = readRegister(file).then(register => {
+            console.log(`Address register ${path.basename(file)}: ${register.byCode.size} addresses.`);
+            return register;
+        });
+    }
+    return registerPromise;
+}
+
+function distanceMeters(a, b) {
+    const kx = METERS_PER_DEG_LON * Math.cos(((a[1] + b[1]) / 2) * Math.PI / 180);
+    return Math.hypot((a[0] - b[0]) * kx, (a[1] - b[1]) * METERS_PER_DEG_LAT);
+}
+
+/** The single candidate within maxDistanceMeters of the point, null when none or several are. */
+function nearestCandidate(candidates, geometry, maxDistanceMeters) {
+    const pt = maxDistanceMeters > 0 ? getPointFromGeometry(geometry) : null;
+    if (!pt || typeof pt[0] !== 'number') return null;
+    const near = candidates.filter(c => c.point && distanceMeters(pt, c.point) <= maxDistanceMeters);
+    return near.length === 1 ? near[0] : null;
+}
+
+/**
+ * Candidates that agree with the feature's city / parish / county / postcode tags (a tag that matches none
+ * of them is ignored). `confirmed` is false when no tag matched, so a single candidate is not proof.
+ */
+function narrowByLocality(candidates, props) {
+    let list = candidates;
+    let confirmed = false;
+    const narrow = (test) => {
+        const narrowed = list.filter(test);
+        if (!narrowed.length) return;
+        list = narrowed;
+        confirmed = true;
+    };
+    if (props['addr:city'] || props['addr:place']) {
+        const city = normalizeLocality(props['addr:city'] || props['addr:place']);
+        const before = list;
+        narrow(c => c.city && normalizeLocality(c.city) === city);
+        // Outdated city names are often the parish or county name
+        if (list === before) narrow(c => [c.parish, c.county].some(n => n && normalizeLocality(n) === city));
+    }
+    if (props['addr:subdistrict']) {
+        const parish = normalizeLocality(props['addr:subdistrict']);
+        narrow(c => c.parish && normalizeLocality(c.parish) === parish);
+    }
+    if (props['addr:district']) {
+        const county = normalizeLocality(props['addr:district']);
+        narrow(c => c.county && normalizeLocality(c.county) === county);
+    }
+    if (props['addr:postcode']) {
+        const postcode = String(props['addr:postcode']).toUpperCase().replace(/^(LV)?-?/, 'LV-');
+        narrow(c => c.postcode === postcode);
+    }
+    return { list, confirmed };
+}
+
+/**
+ * Register entry for a feature's address tags (see pickAddrProps in api.js) and geometry. Resolves with
+ * { entry, method: 'ref' | 'address' | 'nearest' } or null (no register, no or several matches).
+ */
+async function matchRegisterAddress(props, geometry) {
+    const register = await loadAddressRegister();
+    if (!register) return null;
+    counters.lookups++;
+    const ref = props['ref:LV:addr'] != null ? String(props['ref:LV:addr']).trim() : null;
+    if (ref && register.byCode.has(ref)) {
+        counters.ref++;
+        return { entry: register.byCode.get(ref), method: 'ref' };
+    }
+    // Numbered houses in a place without streets are registered as "<place> <number>"
+    const streetName = props['addr:street'] || props['addr:place'];
+    const street = streetName ? normalizeStreet(streetName) : null;
+    const house = props['addr:housenumber'] ? normalizeHouse(props['addr:housenumber']) : null;
+    let candidates = [];
+    if (street && house) candidates = register.byStreetHouse.get(`${street}|${house}`) || [];
+    else if (props['addr:housename']) candidates = register.byName.get(normalizeText(props['addr:housename'])) || [];
+    if (!candidates.length) { counters.unmatched++; return null; }
+    const narrowed = narrowByLocality(candidates, props);
+    if (narrowed.confirmed && narrowed.list.length === 1) {
+        counters.address++;
+        return { entry: narrowed.list[0], method: 'address' };
+    }
+    const nearest = nearestCandidate(narrowed.list, geometry, registerOptions().maxDistanceMeters);
+    if (nearest) {
+        counters.nearest++;
+        return { entry: nearest, method: 'nearest' };
+    }
+    counters.ambiguous++;
+    return null;
+}
+
+/** The address tags a register entry provides (parts it lacks are left out). */
+function registerAddressTags(entry) {
+    const official = {
+        'addr:street': entry.street,
+        'addr:housenumber': entry.house,
+        'addr:housename': entry.name,
+        'addr:city': entry.city,
+        'addr:subdistrict': entry.parish,
+        'addr:district': entry.county,
+        'addr:postcode': entry.postcode,
+        'ref:LV:addr': entry.code,
+    };
+    for (const k of Object.keys(official)) if (!official[k]) delete official[k];
+    return official;
+}
+
+/** Address tags with the official values of a register entry (parts the register lacks are kept). */
+function applyRegisterAddress(props, entry) {
+    const out = { ...props, ...registerAddressTags(entry) };
+    // A city in a county has no parish: an OSM subdistrict would otherwise stay next to the official city
+    if (entry.city && !entry.parish) delete out['addr:subdistrict'];
+    if (['addr:street', 'addr:housenumber', 'addr:housename', 'addr:city', 'addr:subdistrict', 'addr:district'].some(k => out[k] !== props[k])) counters.corrected++;
+    return out;
+}
+
+/** Match counters: { lookups, ref, address, nearest, ambiguous, unmatched, corrected }. */
+function registerStats() {
+    return { ...counters };
+}
+
+module.exports = { loadAddressRegister, matchRegisterAddress, applyRegisterAddress, registerAddressTags, parseRegisterAddress, registerStats };
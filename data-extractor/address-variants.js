@@ -0,0 +1,142 @@
+/**
+ * Fallback search queries for addresses the gateway finds nothing for.
+ *
+ * When a provider's searchAddress rejects with code NO_SEARCH_HITS, the variants in config
+ * `addressVariants` are tried in order. Each one keeps the changes of those before it, and a variant whose
+ * query equals one already tried is skipped:
+ *   dropDistrict        without addr:district        "Laipu iela 2, Bukulti, Garkalnes pag."
+ *   dropSubdistrict     without addr:subdistrict     "Laipu iela 2, Bukulti"
+ *   officialStreetType  abbreviated street type spelled out ("Brīvības i." / "Brīvības iela")
+ *   stripHouseSuffix    house number without its letter suffix ("12A" -> "12")
+ *   transliterate       query without diacritics ("Lāčplēša iela 20" -> "Lacplesa iela 20")
+ * Hits are still scored against the unchanged address tags, so a hit for "12" when the house is "12A"
+ * lands in review/ rather than in the export.
+ */
+
+const { loadConfig } = require('./config');
+
+const NO_SEARCH_HITS = 'NO_SEARCH_HITS';
+
+// Last word of the street name -> official spelling of the street type
+const OFFICIAL_STREET_TYPES = [
+    [/\s(i)\.?$/iu, 'iela'],
+    [/\s(pr|prosp)\.?$/iu, 'prospekts'],
+    [/\s(bulv|bulvaris)\.?$/iu, 'bulvāris'],
+    [/\s(g)\.?$/iu, 'gatve'],
+    [/\s(šos|sos|soseja)\.?$/iu, 'šoseja'],
+    [/\s(lauk)\.?$/iu, 'laukums'],
+    [/\s(krastm)\.?$/iu, 'krastmala'],
+];
+
+function withoutTag(key) {
+    return (props) => {
+        const out = { ...props };
+        delete out[key];
+        return out;
+    };
+}
+
+function transliterate(str) {
+    return str.normalize('NFD').replace(/[\u0300-\u036f]/g, '').normalize('NFC');
+}
+
+/** `props` variants change the address tags before the query is built, `text` variants the query itself. */
+const VARIANTS = {
+    dropDistrict: { props: withoutTag('addr:district') },
+    dropSubdistrict: { props: withoutTag('addr:subdistrict') },
+    officialStreetType: {
+        props(props) {
+            const street = props['addr:street'];
+            if (!street) return props;
+            for (const [re, full] of OFFICIAL_STREET_TYPES) {
+                if (re.test(street)) return { ...props, 'addr:street': street.replace(re, ` ${full}`) };
+            }
+            return props;
+        },
+    },
+    stripHouseSuffix: {
+        props(props) {
+            const m = /^(\d+)\s*\p{L}+$/u.exec(String(props['addr:housenumber'] || '').trim());
+            return m ? { ...props, 'addr:housenumber': m[1] } : props;
+        },
+    },
+    transliterate: { text: transliterate },
+};
+
+const counters = { searches: 0, noHits: 0, recovered: 0, exhausted: 0, variants: {} };
+
+function variantOrder() {
+    const names = loadConfig().addressVariants || [];
+    for (const name of names) {
+        if (!VARIANTS[name]) throw new Error(`Unknown address variant "${name}" (known: ${Object.keys(VARIANTS).join(', ')})`);
+    }
+    return names;
+}
+
+/**
+ * Fallback queries for address tags, in config order: [{ name, address }]. `buildAddress` turns tags into a
+ * query (buildAddressString in api.js); queries equal to `original` or an earlier variant are left out.
+ */
+function buildAddressVariants(props, buildAddress, original = buildAddress(props)) {
+    const seen = new Set([original]);
+    const out = [];
+    let current = props;
+    const textSteps = [];
+    for (const name of variantOrder()) {
+        const variant = VARIANTS[name];
+        if (variant.props) current = variant.props(current);
+        if (variant.text) textSteps.push(variant.text);
+        const address = textSteps.reduce((text, step) => step(text), buildAddress(current));
+        if (!address || seen.has(address)) continue;
+        seen.add(address);
+        out.push({ name, address });
+    }
+    return out;
+}
+
+/**
+ * Search `address`, then its variants while the search finds nothing. `search(address)` is a provider's
+ * searchAddress bound to the address tags. Resolves with { match, variant } (variant null for the original
+ * query, otherwise { name, address }); rejects with the original query's error when no variant finds a hit.
+ */
+async function searchWithVariants(search, props, buildAddress, address) {
+    counters.searches++;
+    let firstError;
+    try {
+        return { match: await search(address), variant: null };
+    } catch (e) {
+        if (e.code !== NO_SEARCH_HITS) throw e;
+        firstError = e;
+    }
+    counters.noHits++;
+    for (const variant of buildAddressVariants(props, buildAddress, address)) {
+        const stats = counters.variants[variant.name] || (counters.variants[variant.name] = { tried: 0, found: 0 });
+        stats.tried++;
+        try {
+            const match = await search(variant.address);
+            stats.found++;
+            counters.recovered++;
+            return { match, variant };
+        } catch (e) {
+            if (e.code !== NO_SEARCH_HITS) throw e;
+        }
+    }
+    counters.exhausted++;
+    throw firstError;
+}
+
+/** Error for a search without usable hits (the code lets searchWithVariants try the next query). */
+function noSearchHitsError() {
+    const error = new Error('no search hits');
+    error.code = NO_SEARCH_HITS;
+    return error;
+}
+
+/** Counters: { searches, noHits, recovered, exhausted, variants: { <name>: { tried, found } } }. */
+function addressVariantStats() {
+    const variants = {};
+    for (const [name, st] of Object.entries(counters.variants)) variants[name] = { ...st };
+    return { ...counters, variants };
+}
+
+module.exports = { buildAddressVariants, searchWithVariants, noSearchHitsError, addressVariantStats, VARIANTS, NO_SEARCH_HITS };
@@ -4,33 +4,80 @@
  * Major changes:
  *  - All input GeoJSON files are sourced from ./imports/*.geojson (any name)
  *  - On start each file is hashed (shake256 6 bytes => 12 hex chars) and renamed to <hash>.geojson (idempotent)
+ *  - Raw OSM extracts (imports/*.osm, *.osm.pbf) are first converted to _<hash>.geojson (osm-import.js)
  *  - Each source GeoJSON is enriched in-place with top-level arrays:
  *        progress: ["osm_id1", "osm_id2", ...]   // successful scraped feature ids
- *        errors:   ["osm_idX", ...]               // failed feature ids
- *    (Written back after every processed feature for crash safety.)
+ *        errors:   [{ id, reason, status, permanent, attempts, lastAttemptAt, … }]   // failed features (scrape-errors.js)
+ *    Changes are appended to _<hash>.journal.ndjson and compacted back into the GeoJSON periodically
+ *    (see journal.js) instead of rewriting the whole file per feature.
  *  - Output offers are NOT aggregated into a single tet_offers.ndjson any more.
  *    Instead, offers are routed into per-location NDJSON streams inside ./exports/ using naming rules:
  *       1. If feature has addr:city AND addr:subdistrict => city_subdistrict_country.ndjson
- *       2. Else if feature has addr:city (only)         => city_country.ndjson
- *       3. Otherwise feature is DISREGARDED (not scraped, not tracked).
+ *       2. Else if feature has addr:city (only)         => city_country.ndjson, or area_city_country.ndjson
+ *          when the city has a boundary file and the feature falls inside one of its areas (boundaries.js)
+ *       3. Else if feature has addr:subdistrict (parish) => subdistrict_country.ndjson, else addr:district => district_country.ndjson
+ *       4. Otherwise feature is DISREGARDED (not scraped, not tracked).
+ *    Features without addr:city get city / parish / county from the admin boundaries containing them
+ *    (boundaries/admin.json); records list those tags in `inferred`.
  *    (Names are lowercase, diacritics removed, spaces/punctuation -> underscore, no "offers" suffix.)
- *  - Errors are NOT written to a separate ndjson file; only stored in the source geojson top-level.
- *  - Concurrency simplified to sequential per source file to avoid race conditions updating that file.
+ *  - Errors are NOT written to a separate ndjson file; only stored in the source geojson top-level. Each error is
+ *    permanent (incomplete address, no search hits, 4xx, unmappable payload) or transient (429, 5xx, network);
+ *    retry only retries the transient ones unless asked to, and every import ends with a table of its errors.
+ *  - When the VZD address register is present (address-register.js) the OSM address tags are replaced by the
+ *    official address (spelling, city / parish / county, ref:LV:addr) before naming and searching; the record's
+ *    `register` holds the register code and how it was matched.
+ *  - Addresses without search hits are searched again with fallback queries (address-variants.js); the record's
+ *    `addressVariant` names the variant that found the address and its query.
+ *  - Search hits are scored against the OSM tags (address-match.js); the chosen addressKey and its
+ *    confidence are stored in the record. Matches below addressMatch.minConfidence are written to
+ *    ./review/<partition>.ndjson instead of the export and tracked in the import's `review` array.
+ *  - Features of one source file are processed by a pool of --batch=N concurrent workers, with a live progress
+ *    line (progress.js); reports/<timestamp>.json counts the outcomes per import, records per partition and
+ *    request rates / latencies (run-report.js).
  *
- * Environment / CLI:
- *   --batch=N is still accepted but currently coerced to 1 (sequential) due to per-file progress mutation.
+ * Commands and options are parsed by cli.js (`node cli.js <command> --help`); this module holds the stages
+ * they run. The old flags of `node api.js` are forwarded to the matching command:
+ *   (none) scrape, --validate retry, --update pointer, --compact, --export, --tiles, --reextract.
+ * Scrape options:
+ *   batchSize (--batch=N, BATCH_SIZE) number of features scraped concurrently.
+ *   rescrape  (--rescrape) scrape every feature of every import again, also those already done, failed or in
+ *             review and those whose id is already in the export; the previous record is kept as a snapshot
+ *             and offer changes are appended to exports/changes/<partition>.ndjson.
+ *   --gateway=<url> / TET_GATEWAY_URL override the gateway base URL (see config.js, mock-gateway.js).
+ *
+ * Address search, service fetch and offer mapping live in provider adapters (providers/); every enabled
+ * provider (config `providers`, default Tet only) is asked for each feature and records carry `provider`.
+ * Each provider's calls go through its own request scheduler (scheduler.js) which paces requests,
+ * backs off on 429/5xx (honouring Retry-After), retries transient failures and logs every decision.
  */
 
 const fs = require('fs');
 const fsp = require('fs/promises');
 const path = require('path');
-const axios = require('axios');
 const { createHash } = require('crypto');
+const { loadConfig } = require('./config');
+const { openProgressJournal, readProgressState, writeFileAtomic } = require('./journal');
+const { diffOffers, appendChangeEvents, summarizeChanges } = require('./changes');
+const { createProviders, getOfferNormalizer } = require('./providers');
+const { storeRawResponse, loadRawResponse, findRawHash } = require('./raw-cache');
+const { findBoundaryArea, findAdminAreas, boundaryStats, adminBoundaryStats } = require('./boundaries');
+const { matchRegisterAddress, applyRegisterAddress, registerAddressTags, registerStats } = require('./address-register');
+const { searchWithVariants, addressVariantStats } = require('./address-variants');
+const { classifyFailures, incompleteAddressError, withReason, summarizeErrors, formatErrorSummary } = require('./scrape-errors');
+const { buildOutline } = require('./outline');
+const { summarizeAreaOffers, POINTER_SCHEMA_VERSION } = require('./area-stats');
+const { prepareExportGeometry, exportGeometryStats } = require('./export-geometry');
+const { createRunReport } = require('./run-report');
+const { createProgress } = require('./progress');
+const { exportFormats, readLatestRecords, FORMATS } = require('./formats');
+const { buildVectorTiles } = require('./tiles');
+const { loadImportFilter, moveFilterSidecar } = require('./import-filter');
+const { convertOsmImports, pendingOsmImports } = require('./osm-import');
 
 
 const IMPORTS_DIR = path.resolve(__dirname, 'imports');
 const EXPORTS_DIR = path.resolve(__dirname, 'exports');
-const RIGA_NEIGHBORHOODS_GEOJSON = path.resolve(__dirname, 'riga_neighborhoods.geojson');
+const REVIEW_DIR = path.resolve(__dirname, 'review');
 
 const DEFAULT_BATCH = 5; // default concurrent requests (safe with write lock)
 
@@ -39,10 +86,9 @@ function shake256(content) {
     return createHash('shake256', {outputLength: 6}).update(content).digest('hex');
 }
 
-function getBatchSize() {
-    const arg = process.argv.find(a => a.startsWith('--batch='));
-    if (arg) {
-        const v = Number(arg.split('=')[1]);
+function getBatchSize(value) {
+    if (value != null) {
+        const v = Number(value);
         if (!isNaN(v) && v > 0) return v;
     }
     const env = Number(process.env.BATCH_SIZE);
@@ -68,6 +114,8 @@ function pickAddrProps(props) {
     const keys = [
         'addr:street',
         'addr:housenumber',
+        'addr:housename',
+        'addr:place',
         'addr:city',
         'addr:postcode',
         'addr:subdistrict',
@@ -77,21 +125,65 @@ function pickAddrProps(props) {
     ];
     const out = {};
     for (const k of keys) if (props[k] != null) out[k] = props[k];
+    // Rural houses are often named with `name` + addr:place ("Kalnieši"): the house name when there is no number.
+    // Same rule as isAddressElement in osm-import.js; a bare `name` is a shop or a church, not an address.
+    if (out['addr:housename'] == null && out['addr:housenumber'] == null && out['addr:place'] != null && props.name) {
+        out['addr:housename'] = props.name;
+    }
     return out;
 }
 
+/** Street + number, a house name ("Kalnieši") or a number in a place without streets (addr:place). */
+function hasHouseAddress(props) {
+    const house = props['addr:housenumber'];
+    return Boolean((house && (props['addr:street'] || props['addr:place'])) || props['addr:housename']);
+}
+
+/**
+ * Address tags of a feature. Without addr:city the missing city / parish / county are taken from the admin
+ * boundaries containing it (boundaries/admin.json); the result is replaced by the official address when it
+ * matches the address register (address-register.js). Resolves with { addrProps, register, inferred }:
+ * register is { code, method } or null, inferred lists the tags that came from the boundaries only.
+ */
+async function resolveAddrProps(feat) {
+    let addrProps = pickAddrProps(feat.properties || {});
+    let inferred = [];
+    if (!addrProps['addr:city']) {
+        const areas = await findAdminAreas(feat.geometry);
+        inferred = Object.keys(areas).filter(k => !addrProps[k]);
+        for (const k of inferred) addrProps[k] = areas[k];
+    }
+    const match = await matchRegisterAddress(addrProps, feat.geometry);
+    if (!match) return { addrProps, register: null, inferred };
+    const official = registerAddressTags(match.entry);
+    return {
+        addrProps: applyRegisterAddress(addrProps, match.entry),
+        register: { code: match.entry.code, method: match.method },
+        inferred: inferred.filter(k => !official[k]),
+    };
+}
+
+/**
+ * Search string in Latvian address order: "Brīvības iela 1, Rīga", "Kalnieši, Mārupes pag., Mārupes nov.",
+ * "Bukulti 5, Garkalnes pag., Ropažu nov." (numbered house in a place without streets).
+ */
 function buildAddressString(props) {
     const street = props['addr:street'] || '';
     const house = props['addr:housenumber'] || '';
-    const city = props['addr:city'] || '';
-    const subdistrict = props['addr:subdistrict'] ? abbr(props['addr:subdistrict']) : '';
-    const district = props['addr:district'] ? abbr(props['addr:district']) : '';
+    const name = props['addr:housename'] || '';
+    const place = props['addr:place'] || '';
+    let housePart;
+    let placeUsed = false;
+    if (street && house) housePart = `${street} ${house}`;
+    else if (name) housePart = name;
+    else if (place && house) { housePart = `${place} ${house}`; placeUsed = true; }
+    else housePart = [street, house].filter(Boolean).join(' ');
     const parts = [];
-    const streetPart = [street, house].filter(Boolean).join(' ');
-    if (streetPart) parts.push(streetPart);
-    if (city) parts.push(city);
-    if (subdistrict) parts.push(subdistrict);
-    if (district) parts.push(district);
+    if (housePart) parts.push(housePart);
+    for (const locality of [props['addr:city'] || (placeUsed ? '' : place), props['addr:subdistrict'], props['addr:district']]) {
+        const text = locality ? abbr(locality) : '';
+        if (text && !parts.includes(text)) parts.push(text);
+    }
     return parts.join(', ');
 }
 
@@ -103,15 +195,10 @@ async function readAndPrepareGeoJSON(fullPath) {
     }
     if (!Array.isArray(data.progress)) data.progress = [];
     if (!Array.isArray(data.errors)) data.errors = [];
+    if (!Array.isArray(data.review)) data.review = [];
     return data;
 }
 
-async function persistGeoJSON(fullPath, obj) {
-    // Pretty print minimal to reduce churn
-    const out = JSON.stringify(obj, null, 2);
-    await fsp.writeFile(fullPath, out, 'utf8');
-}
-
 function slugify(str) {
     return (str || '')
         .normalize('NFD')
@@ -122,211 +209,6 @@ function slugify(str) {
         || 'unknown';
 }
 
-let rigaNeighborhoods = null; // lazily loaded FeatureCollection
-
-function neighborhoodProp(f) {
-    if (!f || !f.properties) return null;
-    return f.properties.neighborhood || f.properties.Name || f.properties.name || f.properties.NAME || null;
-}
-
-async function loadRigaNeighborhoods() {
-    if (rigaNeighborhoods !== null) return rigaNeighborhoods;
-    try {
-        const txt = await fsp.readFile(RIGA_NEIGHBORHOODS_GEOJSON, 'utf8');
-        const data = JSON.parse(txt);
-        if (data && data.type === 'FeatureCollection' && Array.isArray(data.features)) {
-            rigaNeighborhoods = data.features.filter(f => f && f.geometry && f.properties);
-            // Pre-compute bounding boxes for faster rejection
-            const computeBBox = (geom) => {
-                let minLon = Infinity, minLat = Infinity, maxLon = -Infinity, maxLat = -Infinity;
-                collectCoords(geom, (c) => {
-                    const lon = c[0];
-                    const lat = c[1];
-                    if (typeof lon !== 'number' || typeof lat !== 'number') return;
-                    if (lon < minLon) minLon = lon; if (lon > maxLon) maxLon = lon;
-                    if (lat < minLat) minLat = lat; if (lat > maxLat) maxLat = lat;
-                });
-                if (minLon === Infinity) return null;
-                return { minLon, minLat, maxLon, maxLat };
-            };
-            for (const f of rigaNeighborhoods) {
-                try { f.__bbox = computeBBox(f.geometry); } catch { f.__bbox = null; }
-            }
-        } else {
-            rigaNeighborhoods = [];
-        }
-    } catch {
-        rigaNeighborhoods = [];
-    }
-    return rigaNeighborhoods;
-}
-
-function getPointFromGeometry(geometry) {
-    if (!geometry) return null;
-    const t = geometry.type;
-    const c = geometry.coordinates;
-    if (!t) return null;
-    switch (t) {
-        case 'Point':
-            if (Array.isArray(c) && c.length >= 2) return c;
-            return null;
-        case 'MultiPoint':
-            if (Array.isArray(c) && c.length) return c[0];
-            return null;
-        case 'LineString':
-            if (Array.isArray(c) && c.length) return c[Math.floor(c.length/2)];
-            return null;
-        case 'MultiLineString':
-            if (Array.isArray(c) && c.length && Array.isArray(c[0]) && c[0].length) return c[0][Math.floor(c[0].length/2)];
-            return null;
-        case 'Polygon':
-            // simple centroid of outer ring
-            if (Array.isArray(c) && c.length && Array.isArray(c[0])) return ringCentroid(c[0]);
-            return null;
-        case 'MultiPolygon':
-            if (Array.isArray(c) && c.length && Array.isArray(c[0]) && c[0].length) return ringCentroid(c[0][0]);
-            return null;
-        default:
-            return null;
-    }
-}
-
-function ringCentroid(ring) {
-    if (!Array.isArray(ring) || ring.length === 0) return null;
-    let area = 0, cx = 0, cy = 0;
-    for (let i=0;i<ring.length-1;i++) {
-        const [x1,y1] = ring[i];
-        const [x2,y2] = ring[i+1];
-        const a = x1*y2 - x2*y1;
-        area += a;
-        cx += (x1 + x2) * a;
-        cy += (y1 + y2) * a;
-    }
-    if (area === 0) return ring[0];
-    area *= 0.5;
-    return [cx/(6*area), cy/(6*area)];
-}
-
-function pointInPolygon(point, polygonCoords) {
-    // Ray casting; polygonCoords is array of [lon,lat]
-    let inside = false;
-    for (let i=0,j=polygonCoords.length-1;i<polygonCoords.length;j=i++) {
-        const xi = polygonCoords[i][0], yi = polygonCoords[i][1];
-        const xj = polygonCoords[j][0], yj = polygonCoords[j][1];
-        const intersect = ((yi>point[1]) !== (yj>point[1])) && (point[0] < (xj - xi) * (point[1]-yi) / (yj-yi + 1e-15) + xi);
-        if (intersect) inside = !inside;
-    }
-    return inside;
-}
-
-function pointInPolygonEitherOrder(point, polygonCoords) {
-    // Try normal order lon,lat first
-    if (pointInPolygon(point, polygonCoords)) return true;
-    // If coords look like [lat,lon] (first between 55-58 and second 23-26 typical for Latvia) then treat swapped
-    const looksLatLon = polygonCoords && polygonCoords.length >= 3 && polygonCoords.slice(0,5).some(c => c && Math.abs(c[0]) > 50 && Math.abs(c[1]) < 50);
-    if (looksLatLon) {
-        const swappedRing = polygonCoords.map(c => [c[1], c[0]]);
-        if (pointInPolygon(point, swappedRing)) return true;
-    }
-    // Try swapping point (if user geometry point maybe lat,lon)
-    const swappedPoint = [point[1], point[0]];
-    if (pointInPolygon(swappedPoint, polygonCoords)) return true;
-    if (looksLatLon) {
-        const swappedRing = polygonCoords.map(c => [c[1], c[0]]);
-        if (pointInPolygon(swappedPoint, swappedRing)) return true;
-    }
-    return false;
-}
-
-function pointInFeature(point, feature) {
-    if (!feature || !feature.geometry) return false;
-    const g = feature.geometry;
-    if (g.type === 'Polygon') {
-        if (!Array.isArray(g.coordinates) || !g.coordinates.length) return false;
-        if (!pointInPolygonEitherOrder(point, g.coordinates[0])) return false;
-        // holes: if inside any hole -> exclude
-        for (let i=1;i<g.coordinates.length;i++) {
-            if (pointInPolygonEitherOrder(point, g.coordinates[i])) return false;
-        }
-        return true;
-    }
-    if (g.type === 'MultiPolygon') {
-        for (const poly of g.coordinates) {
-            if (!Array.isArray(poly) || !poly.length) continue;
-            if (pointInPolygonEitherOrder(point, poly[0])) {
-                let inHole = false;
-                for (let i=1;i<poly.length;i++) if (pointInPolygonEitherOrder(point, poly[i])) { inHole = true; break; }
-                if (!inHole) return true;
-            }
-        }
-        return false;
-    }
-    return false;
-}
-
-function selectRigaNeighborhood(point) {
-    if (!point || !rigaNeighborhoods || !rigaNeighborhoods.length) return null;
-    const matches = [];
-    const [plon, plat] = point;
-    for (const f of rigaNeighborhoods) {
-        try {
-            if (f.__bbox) {
-                const b = f.__bbox;
-                if (plon < b.minLon || plon > b.maxLon || plat < b.minLat || plat > b.maxLat) continue;
-            }
-            if (pointInFeature(point, f)) {
-                let area = 0;
-                const g = f.geometry;
-                const addRingArea = (ring) => { let a=0; for (let i=0;i<ring.length-1;i++){ const [x1,y1]=ring[i]; const [x2,y2]=ring[i+1]; a += x1*y2 - x2*y1; } return Math.abs(a/2); };
-                if (g.type === 'Polygon') area = addRingArea(g.coordinates[0]);
-                else if (g.type === 'MultiPolygon') area = g.coordinates.reduce((s,p)=> s + (Array.isArray(p)&&p.length? addRingArea(p[0]):0),0);
-                matches.push({ f, area });
-            }
-        } catch {}
-    }
-    if (!matches.length) return null;
-    matches.sort((a,b)=> a.area - b.area);
-    return neighborhoodProp(matches[0].f);
-}
-
-function flattenAllPoints(geometry, out) {
-    if (!geometry) return;
-    const t = geometry.type;
-    const c = geometry.coordinates;
-    switch (t) {
-        case 'Point':
-            if (Array.isArray(c) && c.length>=2) out.push(c);
-            break;
-        case 'MultiPoint':
-        case 'LineString':
-            if (Array.isArray(c)) c.forEach(p=> Array.isArray(p)&&p.length>=2 && out.push(p));
-            break;
-        case 'MultiLineString':
-        case 'Polygon':
-            if (Array.isArray(c)) c.forEach(r=> Array.isArray(r) && r.forEach(p=> Array.isArray(p)&&p.length>=2 && out.push(p)));
-            break;
-        case 'MultiPolygon':
-            if (Array.isArray(c)) c.forEach(pgon=> Array.isArray(pgon) && pgon.forEach(r=> Array.isArray(r)&&r.forEach(p=> Array.isArray(p)&&p.length>=2 && out.push(p))));
-            break;
-        case 'GeometryCollection':
-            if (Array.isArray(geometry.geometries)) geometry.geometries.forEach(g=>flattenAllPoints(g,out));
-            break;
-    }
-}
-
-function findRigaNeighborhoodForGeometry(geometry) {
-    if (!rigaNeighborhoods || !rigaNeighborhoods.length || !geometry) return null;
-    const pts = [];
-    flattenAllPoints(geometry, pts);
-    for (const pt of pts) {
-        const neigh = selectRigaNeighborhood(pt);
-        if (neigh) return neigh;
-    }
-    const centroid = getPointFromGeometry(geometry);
-    if (centroid) return selectRigaNeighborhood(centroid);
-    return null;
-}
-
 async function buildExportFileName(props, geometry) {
     const city = props['addr:city'];
     const sub = props['addr:subdistrict'];
@@ -335,19 +217,22 @@ async function buildExportFileName(props, geometry) {
         return `${slugify(city)}_${slugify(sub)}_${slugify(country)}.ndjson`;
     }
     if (city) {
-        // Special Riga neighborhood logic
-        if (!sub && !props['addr:district'] && slugify(city) === 'riga') {
-            await loadRigaNeighborhoods();
-            const neigh = findRigaNeighborhoodForGeometry(geometry);
-            if (neigh) return `${slugify(neigh)}_${slugify(city)}_${slugify(country)}.ndjson`;
+        // Cities with a boundary file (boundaries/boundaries.json) are split into sub-areas
+        if (!props['addr:district']) {
+            const area = await findBoundaryArea(slugify(city), geometry);
+            if (area) return `${slugify(area)}_${slugify(city)}_${slugify(country)}.ndjson`;
         }
         return `${slugify(city)}_${slugify(country)}.ndjson`;
     }
+    // Rural addresses outside any city or village: parish, else county
+    const parishOrCounty = sub || props['addr:district'];
+    if (parishOrCounty) return `${slugify(parishOrCounty)}_${slugify(country)}.ndjson`;
     return null; // disregard
 }
 
 async function hashAndRenameImports() {
     await fsp.mkdir(IMPORTS_DIR, { recursive: true });
+    await convertOsmImports(IMPORTS_DIR);
     const entries = await fsp.readdir(IMPORTS_DIR);
     const results = [];
     for (const name of entries) {
@@ -365,6 +250,7 @@ async function hashAndRenameImports() {
     if (/^[0-9a-f]{12}\.geojson$/i.test(name) || /^[0-9a-f]{6}\.geojson$/i.test(name)) {
             const target = path.join(IMPORTS_DIR, '_' + name);
             if (!fs.existsSync(target)) await fsp.rename(full, target); else if (full !== target) await fsp.unlink(full);
+            await moveFilterSidecar(full, target);
             results.push(target);
             continue;
         }
@@ -379,355 +265,449 @@ async function hashAndRenameImports() {
                 console.log(`Duplicate content ${name} matches existing _${h}.geojson, removing duplicate file.`);
                 if (full !== target) await fsp.unlink(full);
             }
+            await moveFilterSidecar(full, target);
         }
         results.push(target);
     }
     return results;
 }
 
-// --- API helpers ---
-function encodeSearchQuery(address) {
-    // Lowercase, collapse multiple spaces, trim, encode spaces as %20 via encodeURIComponent
-    const norm = address
-        .replace(/\s+/g, ' ')
-        .trim()
-        .toLowerCase();
-    return encodeURIComponent(norm);
-}
-
-async function fetchAddressKey(address) {
-    const q = encodeSearchQuery(address);
-    const url = `https://gateway.tet.lv/api/addresses/search/${q}`;
-    const { data } = await axios.get(url, { timeout: 5000 });
-    if (!data || !Array.isArray(data.data) || data.data.length === 0) {
-        throw new Error('no search hits');
-    }
-    return data.data[0].addressKey; // first hit most likely
-}
-
-async function fetchAvailableServices(addressKey) {
-    const url = `https://gateway.tet.lv/api/sac/available-services?addressKey=${addressKey}`;
-    const { data } = await axios.get(url, { timeout: 25000 });
-    return data; // raw object (matches example.json style)
-}
-
-function extractInternetOffers(raw) {
-    if (!raw || !raw.data || !Array.isArray(raw.data.structure)) return [];
-    const offers = [];
-    // Only use the object with key === 'internet'
-    const internetGroup = raw.data.structure.find(g => g && g.key === 'internet' || g.key === 'mobile_internet');
-    if (!internetGroup) return offers; // nothing to process
-    const mapConnectionType = (tech, subgroupKey) => {
-        if (tech === 'GPON') return 'Fiber (Optikas)';
-        if (/vdsl|dsl|adsl/i.test(tech || '')) return 'DSL/VDSL';
-        if (!tech) {
-            // Null technology => treat as mobile (spec) optionally verify subgroup key
-            if (subgroupKey && subgroupKey.includes('mobile')) return 'Mobile (4G/5G)';
-            return 'Mobile (4G/5G)';
-        }
-        return 'DSL/VDSL'; // fallback (most remaining fixed-line non-GPON assumed DSL/VDSL)
+// --- Providers ---
+let providers = null;
+
+function getProviders() {
+    if (!providers) providers = createProviders(loadConfig());
+    return providers;
+}
+
+// Export records are unique per provider + OSM id
+function recordKey(providerId, id) {
+    return `${providerId || 'tet'}|${id}`;
+}
+
+async function loadExportIndex(outPath) {
+    // recordKey -> { offers, scrapedAt } of the latest record for that key (later lines win)
+    const index = new Map();
+    if (!fs.existsSync(outPath)) return index;
+    // Stream read to avoid loading huge file fully into memory
+    const rl = require('readline').createInterface({
+        input: fs.createReadStream(outPath, { encoding: 'utf8' }),
+        crlfDelay: Infinity
+    });
+    await new Promise(res => {
+        rl.on('line', line => {
+            const t = line.trim();
+            if (!t) return;
+            try { const obj = JSON.parse(t); if (obj && obj.id) index.set(recordKey(obj.provider, obj.id), { offers: obj.offers, scrapedAt: obj.scrapedAt }); } catch { }
+        });
+        rl.on('close', res);
+        rl.on('error', () => res());
+    });
+    return index;
+}
+
+function getExportIndex(ctx, exportFileName) {
+    // Cache the promise so concurrent workers share one load per export file
+    if (!ctx.exportIndexes.has(exportFileName)) {
+        ctx.exportIndexes.set(exportFileName, loadExportIndex(path.join(EXPORTS_DIR, exportFileName)));
+    }
+    return ctx.exportIndexes.get(exportFileName);
+}
+
+/**
+ * Append a scraped record to its export. When the export already holds a record for the same id and
+ * provider, the previous line is kept as a snapshot and the offer differences are written to exports/changes/.
+ */
+async function writeExportRecord(ctx, exportFileName, record) {
+    const exportIndex = await getExportIndex(ctx, exportFileName);
+    const key = recordKey(record.provider, record.id);
+    const prev = exportIndex.get(key);
+    if (prev) {
+        const events = diffOffers(prev.offers, record.offers);
+        await appendChangeEvents(EXPORTS_DIR, exportFileName, prev, record, events);
+        if (events.length) console.log(`  Δ ${record.id}: ${events.map(e => e.type).join(', ')}`);
+    }
+    await appendLine(path.join(EXPORTS_DIR, exportFileName), record);
+    exportIndex.set(key, { offers: record.offers, scrapedAt: record.scrapedAt });
+    ctx.changedExports.add(exportFileName);
+}
+
+async function scrapeRecord(provider, id, feat, address, { addrProps, register, inferred }) {
+    const search = (query) => provider.searchAddress(query, addrProps);
+    const { match, variant } = await searchWithVariants(search, addrProps, buildAddressString, address);
+    const record = {
+        id,
+        address,
+        addressKey: match.addressKey,
+        rawHash: null,
+        match: { confidence: match.confidence, label: match.label, candidates: match.candidates },
+        properties: addrProps,
+        geometry: prepareExportGeometry(feat.geometry) || null,
+        offers: null,
+        scrapedAt: new Date().toISOString(),
+        source: 'api',
+        provider: provider.id,
     };
+    if (register) record.register = register;
+    if (inferred.length) record.inferred = inferred;
+    if (variant) record.addressVariant = variant;
+    // Low-confidence matches are parked for review without spending a services request
+    if (isLowConfidence(record)) return record;
+    const rawServices = await provider.fetchServices(match);
+    if (loadConfig().rawCache) record.rawHash = await storeRawResponse(provider.id, match.addressKey, rawServices, record.scrapedAt);
+    try {
+        record.offers = provider.normalizeOffers(rawServices);
+    } catch (e) {
+        throw withReason(e, 'parse-error');
+    }
+    return record;
+}
 
-    if (Array.isArray(internetGroup.subgroups)) {
-        for (const sg of internetGroup.subgroups) {
-            if (!sg || !Array.isArray(sg.products)) continue;
-            const subgroupKey = sg.key || '';
-            for (const p of sg.products) {
-                if (!p || typeof p !== 'object') continue;
-
-                // Determine connection type as per spec using technology / subgroup
-                const technology = p.technology || null; // may be null for mobile
-                const connectionType = mapConnectionType(technology, subgroupKey);
-
-                // Build speed object if available
-                let speed = null;
-                const ts = p.technologySpeed;
-                if (ts && typeof ts === 'object') {
-                    if (ts.min != null && ts.max != null) {
-                        speed = { minMbit: Number(ts.min), maxMbit: Number(ts.max) };
-                    } else if (ts.max != null) {
-                        speed = { upToMbit: Number(ts.max) };
-                    }
-                }
-
-                // Extract contract terms: pick one regular (promotionCode null) & one promo (promotionCode not null)
-                const contractTerms = Array.isArray(p.contractTerms) ? p.contractTerms : [];
-                const regularTerm = contractTerms.find(ct => !ct.promotionCode) || null;
-                const promoTerm = contractTerms.find(ct => ct.promotionCode) || null;
-
-                const baseOfferFields = () => ({
-                    connectionType,
-                    originalTitle: p.name?.lv || p.productCode || connectionType,
-                    speed,
-                    features: p.benefits && p.benefits.lv ? p.benefits.lv.split(/\r?\n/).filter(Boolean) : null,
-                    techInfo: ts?.description?.lv || technology || null,
-                });
+function isLowConfidence(record) {
+    return record.match.confidence < loadConfig().addressMatch.minConfidence;
+}
+
+function reviewKey(record) {
+    return `${recordKey(record.provider, record.id)}|${record.addressKey}`;
+}
+
+/** reviewKey of every record in a review file (--rescrape must not park the same match twice). */
+async function loadReviewIndex(reviewPath) {
+    const index = new Set();
+    if (!fs.existsSync(reviewPath)) return index;
+    for (const line of (await fsp.readFile(reviewPath, 'utf8')).split('\n')) {
+        const t = line.trim();
+        if (!t) continue;
+        try { const obj = JSON.parse(t); if (obj && obj.id) index.add(reviewKey(obj)); } catch { }
+    }
+    return index;
+}
+
+/**
+ * Low-confidence matches go to review/<partition>.ndjson instead of the export; a match already waiting
+ * there (same id, provider and addressKey) is not written again.
+ */
+async function writeReviewRecord(ctx, exportFileName, record) {
+    if (!ctx.reviewIndexes.has(exportFileName)) {
+        ctx.reviewIndexes.set(exportFileName, loadReviewIndex(path.join(REVIEW_DIR, exportFileName)));
+    }
+    const reviewIndex = await ctx.reviewIndexes.get(exportFileName);
+    const key = reviewKey(record);
+    if (reviewIndex.has(key)) return;
+    reviewIndex.add(key);
+    await appendLine(path.join(REVIEW_DIR, exportFileName), record);
+    console.log(`  ? ${record.id} [${record.provider}] low-confidence match (${record.match.confidence}) "${record.address}" -> "${record.match.label}" (review/${exportFileName})`);
+}
 
-                function buildTermsArray(termObj) {
-                    const arr = [];
-                    if (!termObj) return arr;
-                    if (termObj.contractTerm > 0) arr.push(`Līgums uz ${termObj.contractTerm} mēnešiem`);
-                    if (termObj.priceDescription?.lv) arr.push(termObj.priceDescription.lv);
-                    if (termObj.description) arr.push(termObj.description);
-                    return arr.length ? arr : null;
-                }
-
-                if (regularTerm) {
-                    offers.push({
-                        ...baseOfferFields(),
-                        pricePerMonthEur: typeof regularTerm.amount === 'number' ? regularTerm.amount : null,
-                        currency: typeof regularTerm.amount === 'number' ? 'EUR' : null,
-                        terms: buildTermsArray(regularTerm),
-                        promotion: false,
-                        contractTermMonths: regularTerm.contractTerm || regularTerm.term || 0,
-                        promotionCode: null
-                    });
-                }
-                if (promoTerm) {
-                    offers.push({
-                        ...baseOfferFields(),
-                        pricePerMonthEur: typeof promoTerm.amount === 'number' ? promoTerm.amount : null,
-                        currency: typeof promoTerm.amount === 'number' ? 'EUR' : null,
-                        terms: buildTermsArray(promoTerm),
-                        promotion: true,
-                        contractTermMonths: promoTerm.contractTerm || promoTerm.term || 0,
-                        promotionCode: promoTerm.promotionCode || null
-                    });
-                }
+/**
+ * Scrape one feature with every provider that has no record for it yet (all of them with --rescrape).
+ * Resolves with { records, review, failures } where failures holds { provider, error }.
+ */
+async function scrapeWithProviders(ctx, id, feat, resolved, exportFileName, { force = false } = {}) {
+    const address = buildAddressString(resolved.addrProps);
+    const exportIndex = await getExportIndex(ctx, exportFileName);
+    const result = { records: [], review: false, failures: [] };
+    for (const provider of getProviders()) {
+        if (!force && exportIndex.has(recordKey(provider.id, id))) continue;
+        try {
+            const record = await scrapeRecord(provider, id, feat, address, resolved);
+            const partition = ctx.partitions[exportFileName] || (ctx.partitions[exportFileName] = { records: 0, review: 0 });
+            if (isLowConfidence(record)) {
+                await writeReviewRecord(ctx, exportFileName, record);
+                partition.review++;
+                result.review = true;
+                continue;
             }
+            await writeExportRecord(ctx, exportFileName, record);
+            partition.records++;
+            result.records.push(record);
+        } catch (error) {
+            result.failures.push({ provider: provider.id, error });
+        }
+    }
+    return result;
+}
+
+function describeFailures(failures) {
+    return failures.map(f => `${f.error.message} [${f.provider}]`).join('; ');
+}
+
+/**
+ * Feature counts of one import in this run: seen (inside the filter), outsideFilter, previouslyDone (done,
+ * failed or in review before the run), pending (main pass), then the outcomes: scraped, alreadyExported (every
+ * provider already had a record), review, disregarded (no city, parish or county), recovered (recovery
+ * pass successes) and failed per reason (scrape-errors.js).
+ */
+function createFeatureCounts() {
+    return { seen: 0, outsideFilter: 0, previouslyDone: 0, pending: 0, scraped: 0, alreadyExported: 0, review: 0, disregarded: 0, recovered: 0, failed: {} };
+}
+
+function countFailure(counts, reason) {
+    counts.failed[reason] = (counts.failed[reason] || 0) + 1;
+}
+
+function totalFailed(counts) {
+    return Object.values(counts.failed).reduce((n, c) => n + c, 0);
+}
+
+function describeCounts(counts) {
+    const parts = [`scraped ${counts.scraped}`];
+    if (counts.alreadyExported) parts.push(`exported before ${counts.alreadyExported}`);
+    if (counts.recovered) parts.push(`recovered ${counts.recovered}`);
+    parts.push(`review ${counts.review}`, `failed ${totalFailed(counts)}`);
+    if (counts.disregarded) parts.push(`disregarded ${counts.disregarded}`);
+    return parts.join(', ');
+}
+
+/** Counts of all imports added up (failed merged per reason). */
+function sumFeatureCounts(list) {
+    const total = createFeatureCounts();
+    for (const counts of list) {
+        for (const [k, v] of Object.entries(counts)) {
+            if (k === 'failed') for (const [reason, n] of Object.entries(v)) total.failed[reason] = (total.failed[reason] || 0) + n;
+            else total[k] += v;
         }
     }
-    return offers;
+    return total;
 }
 
-async function processFeatureInContext(feat, index, total, ctx) {
+async function processFeatureInContext(feat, index, ctx) {
     const id = feat.id || feat.properties?.['@id'] || `idx_${index}`;
-    if (ctx.progressSet.has(id) || ctx.errorSet.has(id)) return null; // already processed (success or failed)
-    const props = feat.properties || {};
-    const addrProps = pickAddrProps(props);
+    const { journal } = ctx;
+    // Already processed (success, failed or sent to review); --rescrape does them again
+    if (!ctx.rescrape && (journal.progressSet.has(id) || journal.errorMap.has(id) || journal.reviewSet.has(id))) return null;
+    const resolved = await resolveAddrProps(feat);
+    const { addrProps } = resolved;
     const exportFileName = await buildExportFileName(addrProps, feat.geometry);
     if (!exportFileName) {
-        // Disregarded silently (no city criteria) – do not mark progress per user spec
+        // Disregarded silently (no city, parish or county) – do not mark progress per user spec
+        ctx.counts.disregarded++;
         return null;
     }
-    if (!addrProps['addr:street'] || !addrProps['addr:housenumber']) {
+    if (!hasHouseAddress(addrProps)) {
         // Address incomplete -> treat as error & persist
-        ctx.errorSet.add(id);
-        ctx.geojson.errors.push(id);
-        await persistGeoJSON(ctx.filePath, ctx.geojson);
-        return null;
-    }
-    // Duplicate detection within destination export file
-    const outPath = path.join(EXPORTS_DIR, exportFileName);
-    // Lazy load existing IDs for this export file once
-    if (!ctx.exportIdSets.has(exportFileName)) {
-        const idSet = new Set();
-        if (fs.existsSync(outPath)) {
-            // Stream read to avoid loading huge file fully into memory
-            const rl = require('readline').createInterface({
-                input: fs.createReadStream(outPath, { encoding: 'utf8' }),
-                crlfDelay: Infinity
-            });
-            await new Promise(res => {
-                rl.on('line', line => {
-                    const t = line.trim();
-                    if (!t) return;
-                    try { const obj = JSON.parse(t); if (obj && obj.id) idSet.add(obj.id); } catch { }
-                });
-                rl.on('close', res);
-                rl.on('error', () => res());
-            });
-        }
-        ctx.exportIdSets.set(exportFileName, idSet);
-    }
-    const exportIdSet = ctx.exportIdSets.get(exportFileName);
-    if (exportIdSet.has(id)) {
-        // Already present in destination file -> treat as successful skip
-        await ctx.withLock(async () => {
-            if (!ctx.progressSet.has(id)) {
-                ctx.progressSet.add(id);
-                ctx.geojson.progress.push(id);
-                await persistGeoJSON(ctx.filePath, ctx.geojson);
-            }
-        });
-        // console.log(`[${index + 1}/${total}] (${path.basename(ctx.filePath)}) ${id} already exists in ${exportFileName} -> skipped`);
+        const details = incompleteAddressError();
+        ctx.failed++;
+        countFailure(ctx.counts, details.reason);
+        await journal.markError(id, details);
         return null;
     }
-    const address = buildAddressString(props);
-    // console.log(`[${index + 1}/${total}] (${path.basename(ctx.filePath)}) ${address}`);
-    try {
-        const addressKey = await fetchAddressKey(address);
-        const rawServices = await fetchAvailableServices(addressKey);
-        const internetOffers = extractInternetOffers(rawServices);
-        const record = {
-            id,
-            address,
-            properties: addrProps,
-            geometry: feat.geometry || null,
-            offers: internetOffers,
-            scrapedAt: new Date().toISOString(),
-            source: 'api',
-        };
-        await appendLine(outPath, record);
-        exportIdSet.add(id);
-        // Serialize write to prevent race when batching
-        await ctx.withLock(async () => {
-            ctx.progressSet.add(id);
-            ctx.geojson.progress.push(id);
-            await persistGeoJSON(ctx.filePath, ctx.geojson);
-            ctx.changedExports.add(exportFileName);
-        });
-        // console.log(`  ✓ ${id} (${internetOffers.length} offers) -> ${exportFileName}`);
-        // console.log(id)
-        return record;
-    } catch (err) {
-        console.warn(`  ✗ ${id} failed: ${err.message}`);
-        await ctx.withLock(async () => {
-            if (!ctx.errorSet.has(id)) {
-                ctx.errorSet.add(id);
-                ctx.geojson.errors.push(id);
-            }
-            await persistGeoJSON(ctx.filePath, ctx.geojson);
-        });
-        return null;
+    // Providers whose record is already in the destination export are skipped (--rescrape refreshes them)
+    const { records, review, failures } = await scrapeWithProviders(ctx, id, feat, resolved, exportFileName, { force: ctx.rescrape });
+    if (failures.length) {
+        console.warn(`  ✗ ${id} failed: ${describeFailures(failures)}`);
+        ctx.failed++;
+        const details = classifyFailures(failures);
+        countFailure(ctx.counts, details.reason);
+        await journal.markError(id, details);
+    } else if (review) {
+        ctx.counts.review++;
+        await journal.markReview(id);
+    } else {
+        ctx.counts[records.length ? 'scraped' : 'alreadyExported']++;
+        // A failed or parked feature that succeeds on --rescrape leaves the errors / review
+        if (journal.errorMap.has(id)) await journal.markRecovered(id);
+        else if (journal.reviewSet.has(id)) await journal.markReviewResolved(id);
+        else await journal.markProgress(id);
     }
+    return records;
 }
 
-// Recovery logic deprecated under new per-file progress embedding; placeholder retained
+/** Recovery pass: scrape a feature from the import's errors again (no skip for processed ids). */
 async function reprocessFeature(feat, ctx) {
     const id = feat.id || feat.properties?.['@id'];
     if (!id) return null;
-    const props = feat.properties || {};
-    const addrProps = pickAddrProps(props);
+    const resolved = await resolveAddrProps(feat);
+    const { addrProps } = resolved;
     const exportFileName = await buildExportFileName(addrProps, feat.geometry);
-    if (!exportFileName) return null; // still disregard
-    if (!addrProps['addr:street'] || !addrProps['addr:housenumber']) return null;
-    const address = buildAddressString(props);
+    if (!exportFileName) { // still disregard
+        ctx.counts.disregarded++;
+        return null;
+    }
+    if (!hasHouseAddress(addrProps)) {
+        const details = incompleteAddressError();
+        ctx.failed++;
+        countFailure(ctx.counts, details.reason);
+        await ctx.journal.markError(id, details);
+        return null;
+    }
+    const { records, review, failures } = await scrapeWithProviders(ctx, id, feat, resolved, exportFileName);
+    if (failures.length) {
+        console.log(`  ↺ Recovery failed ${id}: ${describeFailures(failures)}`);
+        ctx.failed++;
+        const details = classifyFailures(failures);
+        countFailure(ctx.counts, details.reason);
+        await ctx.journal.markError(id, details);
+    } else if (review) {
+        ctx.counts.review++;
+        await ctx.journal.markReview(id);
+    } else {
+        ctx.counts.recovered++;
+        await ctx.journal.markRecovered(id);
+        console.log(`  ↺ Recovery success ${id} (${records.reduce((n, r) => n + r.offers.length, 0)} offers)`);
+    }
+    return records;
+}
+
+/** Run `worker(item)` over items with at most `concurrency` in flight. */
+async function runPool(items, concurrency, worker) {
+    let next = 0;
+    const lanes = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+        while (next < items.length) {
+            const item = items[next++];
+            await worker(item);
+        }
+    });
+    await Promise.all(lanes);
+}
+
+/** runPool with a live progress line (progress.js) for the pass. */
+async function runPoolWithProgress(items, concurrency, worker, { label, counts }) {
+    const progress = createProgress({ label, total: items.length, describe: () => describeCounts(counts) });
     try {
-        const addressKey = await fetchAddressKey(address);
-        const rawServices = await fetchAvailableServices(addressKey);
-        const internetOffers = extractInternetOffers(rawServices);
-        const record = { id, address, properties: addrProps, geometry: feat.geometry || null, offers: internetOffers, scrapedAt: new Date().toISOString(), source: 'api' };
-        const outPath = path.join(EXPORTS_DIR, exportFileName);
-        await appendLine(outPath, record);
-        await ctx.withLock(async () => {
-            if (!ctx.progressSet.has(id)) {
-                ctx.progressSet.add(id);
-                ctx.geojson.progress.push(id);
-            }
-            // remove from errors array/set
-            if (ctx.errorSet.has(id)) {
-                ctx.errorSet.delete(id);
-                ctx.geojson.errors = ctx.geojson.errors.filter(eid => eid !== id);
-            }
-            await persistGeoJSON(ctx.filePath, ctx.geojson);
-            ctx.changedExports.add(exportFileName);
-        });
-        console.log(`  ↺ Recovery success ${id} (${internetOffers.length} offers)`);
-        return record;
-    } catch (err) {
-        console.log(`  ↺ Recovery failed ${id}: ${err.message}`);
-        await ctx.withLock(async () => {
-            if (!ctx.errorSet.has(id)) {
-                ctx.errorSet.add(id);
-                ctx.geojson.errors.push(id);
-            }
-            await persistGeoJSON(ctx.filePath, ctx.geojson);
+        await runPool(items, concurrency, async (item) => {
+            await worker(item);
+            progress.tick();
         });
-        return null;
+    } finally {
+        progress.stop();
+    }
+}
+
+/** Errors the recovery pass retries: transient ones, permanent ones too with `includePermanent`. */
+function retryableErrorIds(state, includePermanent = false) {
+    const ids = [];
+    for (const e of state.errorMap.values()) {
+        if (!state.progressSet.has(e.id) && (includePermanent || !e.permanent)) ids.push(e.id);
     }
+    return ids;
 }
 
 async function recoveryPass(ctx, features, batchSize) {
-    const errorIds = ctx.geojson.errors.filter(id => !ctx.progressSet.has(id));
+    const errorIds = retryableErrorIds(ctx.journal, ctx.retryPermanent);
+    const skipped = ctx.journal.errorMap.size - errorIds.length;
     if (!errorIds.length) {
-        console.log('No errors to recover.');
+        console.log(skipped ? `No transient errors to recover (${skipped} permanent, retry with --permanent).` : 'No errors to recover.');
         return;
     }
-    console.log(`Starting recovery pass for ${errorIds.length} error IDs (batch ${batchSize})…`);
+    console.log(`Starting recovery pass for ${errorIds.length} error IDs (batch ${batchSize})${skipped ? `, ${skipped} permanent skipped` : ''}…`);
     const featureById = new Map();
     for (const f of features) {
         const fid = f.id || f.properties?.['@id'];
         if (fid) featureById.set(fid, f);
     }
-    for (let i = 0; i < errorIds.length; ) {
-        const slice = errorIds.slice(i, i + batchSize);
-        const tasks = slice.map(id => {
-            const feat = featureById.get(id);
-            if (!feat) return Promise.resolve(null);
-            return reprocessFeature(feat, ctx);
-        });
-        await Promise.all(tasks);
-        i += batchSize;
-    }
+    // Features outside the import filter stay untouched
+    const retryable = errorIds.map(id => featureById.get(id)).filter(f => f && (!ctx.filter || ctx.filter.contains(f)));
+    await runPoolWithProgress(retryable, batchSize, feat => reprocessFeature(feat, ctx), { label: `${path.basename(ctx.filePath)} recovery`, counts: ctx.counts });
     console.log('Recovery pass finished.');
 }
 
-function isValidateMode() { return process.argv.includes('--validate'); }
+function featureId(feat, index) {
+    return feat.id || feat.properties?.['@id'] || `idx_${index}`;
+}
+
+/**
+ * Feature indexes the main pass scrapes: not yet processed (not in progress / errors / review; with `rescrape`
+ * every feature) and inside the import filter. Every index is checked: workers finish out of order, so
+ * features before the last completed one may have been in flight when a run stopped. `outside` counts the
+ * features the filter excludes.
+ */
+function pendingFeatureIndexes(geojson, state, filter = null, { rescrape = false } = {}) {
+    const features = geojson.features;
+    const inside = filter ? features.map(f => filter.contains(f)) : null;
+    const outside = inside ? inside.filter(v => !v).length : 0;
+    const pending = [];
+    for (let i = 0; i < features.length; i++) {
+        if (inside && !inside[i]) continue;
+        const id = featureId(features[i], i);
+        if (!rescrape && (state.progressSet.has(id) || state.errorMap.has(id) || state.reviewSet.has(id))) continue; // skip processed
+        pending.push(i);
+    }
+    return { pending, outside };
+}
 
-async function run() {
+/**
+ * Scrape every import (retry: only run the recovery pass over failed ids). The recovery pass skips permanent
+ * errors unless `retryPermanent` is set. `filter` ({ bbox, clip }, see import-filter.js) replaces the imports'
+ * filter sidecars. Resolves with { failed, errorsRemaining }: features that failed during this run and whether
+ * any import still has errors.
+ */
+async function scrapeImports({ retry = false, retryPermanent = false, rescrape = false, batchSize = null, filter = null } = {}) {
+    const report = createRunReport(retry ? 'retry' : 'scrape');
     console.log('Preparing import GeoJSON files (hash + rename)…');
     const files = await hashAndRenameImports();
-    if (!files.length) { console.log('No .geojson files found in imports directory. Nothing to do.'); return; }
+    if (!files.length) { console.log('No .geojson files found in imports directory. Nothing to do.'); return { failed: 0, errorsRemaining: false }; }
     await fsp.mkdir(EXPORTS_DIR, { recursive: true });
-    const batchSize = getBatchSize();
+    batchSize = getBatchSize(batchSize);
     console.log(`Using batch size: ${batchSize}`);
+    console.log(`Using providers: ${Object.keys(loadConfig().providers).join(', ')} (Tet gateway: ${loadConfig().gatewayUrl})`);
 
     let anyErrorsRemaining = false;
+    let failed = 0;
     const changedExportsGlobal = new Set();
+    const filterReport = {};
+    const errorReport = {};
+    const featureReport = {};
+    const partitions = {};
 
     for (const filePath of files) {
         console.log(`\n=== Processing source ${path.basename(filePath)} ===`);
         const geojson = await readAndPrepareGeoJSON(filePath);
+        const importFilter = await loadImportFilter(filePath, filter);
+        const journal = await openProgressJournal(filePath, geojson, { compactEvery: loadConfig().journalCompactEvery });
+        if (journal.replayed) console.log(`Replayed ${journal.replayed} journal entries from previous run.`);
         const ctx = {
             filePath,
-            geojson,
-            progressSet: new Set(geojson.progress),
-            errorSet: new Set(geojson.errors),
-            exportIdSets: new Map(),
+            journal,
+            filter: importFilter,
+            rescrape,
+            retryPermanent,
+            failed: 0,
+            counts: createFeatureCounts(),
+            partitions,
+            exportIndexes: new Map(),
+            reviewIndexes: new Map(),
             changedExports: new Set(),
-            // simple promise-based mutex
-            _lock: Promise.resolve(),
-            withLock(fn){ this._lock = this._lock.then(fn, fn); return this._lock; }
         };
         const features = geojson.features;
-        console.log(`Features: ${features.length}. Done: ${ctx.progressSet.size}. Errors: ${ctx.errorSet.size}.`);
-
-        // Determine starting index: after last successful id in progress array
-        let startIndex = 0;
-        if (geojson.progress.length) {
-            const lastId = geojson.progress[geojson.progress.length - 1];
-            const idx = features.findIndex(f => (f.id || f.properties?.['@id']) === lastId);
-            if (idx >= 0) startIndex = idx + 1;
+        const { pending, outside } = pendingFeatureIndexes(geojson, journal, importFilter, { rescrape });
+        Object.assign(ctx.counts, {
+            seen: features.length - outside,
+            outsideFilter: outside,
+            previouslyDone: journal.progressSet.size + journal.errorMap.size + journal.reviewSet.size,
+            pending: retry ? 0 : pending.length,
+        });
+        if (importFilter) {
+            console.log(`Filter (${importFilter.source}): ${importFilter.description}. Skipping ${outside} of ${features.length} features outside.`);
+            filterReport[path.basename(filePath)] = { source: importFilter.source, filter: importFilter.description, features: features.length, skipped: outside };
         }
-        if (startIndex >= features.length) {
-            console.log('All features already processed (by success). Skipping to recovery.');
+        console.log(`Features: ${features.length - outside}. Done: ${journal.progressSet.size}. Errors: ${journal.errorMap.size}. Review: ${journal.reviewSet.size}.`);
+
+        if (!retry && !pending.length) {
+            console.log('All features already processed. Skipping to recovery.');
         }
 
-        if (!isValidateMode()) {
-            for (let i = startIndex; i < features.length; ) {
-                // Build one batch of up to batchSize unprocessed features
-                const batch = [];
-                let collected = 0;
-                while (i < features.length && collected < batchSize) {
-                    const feat = features[i];
-                    const id = feat.id || feat.properties?.['@id'] || `idx_${i}`;
-                    i++;
-                    if (ctx.progressSet.has(id) || ctx.errorSet.has(id)) continue; // skip processed
-                    batch.push(processFeatureInContext(feat, i-1, features.length, ctx));
-                    collected++;
-                }
-                if (batch.length) await Promise.all(batch);
-                if (!batch.length && i >= features.length) break; // nothing more
+        try {
+            if (!retry) {
+                await runPoolWithProgress(pending, batchSize, i => processFeatureInContext(features[i], i, ctx), { label: path.basename(filePath), counts: ctx.counts });
+            } else {
+                console.log('Retry mode: skipping main scrape, running recovery only.');
             }
-        } else {
-            console.log('Validate mode: skipping main scrape, running recovery only.');
-        }
 
-        // Recovery pass (attempt previously failed IDs)
-        await recoveryPass(ctx, features, batchSize);
-        if (ctx.geojson.errors.length) anyErrorsRemaining = true;
-        console.log(`Completed ${path.basename(filePath)}. Progress stored inside file.`);
+            // Recovery pass (attempt previously failed IDs)
+            await recoveryPass(ctx, features, batchSize);
+        } finally {
+            await journal.close();
+        }
+        failed += ctx.failed;
+        featureReport[path.basename(filePath)] = ctx.counts;
+        if (geojson.errors.length) {
+            anyErrorsRemaining = true;
+            const rows = summarizeErrors(geojson.errors);
+            errorReport[path.basename(filePath)] = rows;
+            console.log(`Errors in ${path.basename(filePath)}:\n${formatErrorSummary(rows)}`);
+        }
+        console.log(`Completed ${path.basename(filePath)}: ${describeCounts(ctx.counts)}. Progress stored inside file.`);
 
         // Merge changed exports and update pointer incrementally
         for (const n of ctx.changedExports) changedExportsGlobal.add(n);
@@ -742,6 +722,37 @@ async function run() {
         }
     }
     console.log('\nAll import files processed. Outputs located in ./exports');
+    const requestStats = {};
+    for (const provider of providers || []) {
+        const st = provider.http.stats();
+        requestStats[provider.id] = st;
+        console.log(`Requests [${provider.id}]: ${st.requests} (ok ${st.ok}, retries ${st.retries}, throttled ${st.throttled}, failed ${st.failed}), ${st.perSecond}/s, latency avg ${st.latency.avgMs ?? '-'}ms p95 ${st.latency.p95Ms ?? '-'}ms. Final interval ${st.intervalMs}ms.`);
+        provider.http.close();
+    }
+    const bs = boundaryStats();
+    if (bs.lookups) console.log(`Boundary lookups: ${bs.lookups} (representative point ${bs.representative}, vertex fallback ${bs.fallback}, unmatched ${bs.unmatched}).`);
+    const gs = exportGeometryStats();
+    if (gs.records) console.log(`Export geometry: ${gs.records} records, ${gs.bytesBefore} -> ${gs.bytesAfter} bytes (${gs.savedPct}% saved), ${gs.verticesBefore} -> ${gs.verticesAfter} vertices.`);
+    const as = adminBoundaryStats();
+    if (as.lookups) console.log(`Admin boundaries: ${as.lookups} lookups for features without addr:city (city ${as.city}, parish ${as.parish}, county ${as.county}, unmatched ${as.unmatched}).`);
+    const rs = registerStats();
+    if (rs.lookups) console.log(`Address register: ${rs.lookups} lookups (ref ${rs.ref}, address ${rs.address}, nearest ${rs.nearest}, ambiguous ${rs.ambiguous}, unmatched ${rs.unmatched}), ${rs.corrected} addresses corrected.`);
+    const vs = addressVariantStats();
+    if (vs.noHits) console.log(`Address variants: ${vs.noHits} of ${vs.searches} searches without hits, ${vs.recovered} found by a variant (${Object.entries(vs.variants).map(([name, st]) => `${name} ${st.found}/${st.tried}`).join(', ')}), ${vs.exhausted} not found.`);
+    const skipped = Object.values(filterReport).reduce((n, f) => n + f.skipped, 0);
+    if (skipped) console.log(`Import filters: ${skipped} features outside skipped.`);
+    const featureTotals = sumFeatureCounts(Object.values(featureReport));
+    console.log(`Features: ${featureTotals.seen} seen, ${featureTotals.previouslyDone} processed before, ${describeCounts(featureTotals)}.`);
+    report.set('features', { ...featureTotals, imports: featureReport });
+    report.set('partitions', partitions);
+    report.set('requests', requestStats);
+    report.set('filters', filterReport);
+    report.set('errors', errorReport);
+    report.set('boundaries', bs);
+    report.set('admin', as);
+    report.set('register', rs);
+    report.set('addressVariants', vs);
+    report.set('geometry', gs);
 
     // Final full rebuild to ensure outlines reflect all data if no errors
     if (!anyErrorsRemaining) {
@@ -751,58 +762,358 @@ async function run() {
             console.log('pointer.json written.');
         } catch(e){ console.warn('Final pointer rebuild failed:', e.message); }
     }
+    console.log(`Run report: ${path.relative(__dirname, await report.write())}`);
+    return { failed, errorsRemaining: anyErrorsRemaining };
 }
 
-if (require.main === module) {
-    run().catch(e => {
-        console.error(e);
-        process.exitCode = 1;
-    });
+/**
+ * Dry run of scrapeImports: per import and partition the features the run would scrape (retry: the failed
+ * ids it would retry), how many of them every provider already has in the export (marked done without
+ * requests) and how many are left out. Imports are neither renamed nor written, no request is made.
+ */
+async function planScrape({ retry = false, retryPermanent = false, rescrape = false, filter = null } = {}) {
+    const extracts = await pendingOsmImports(IMPORTS_DIR);
+    if (extracts.length) console.log(`${extracts.length} OSM extract(s) not converted yet and not counted below (run \`ingest\` first): ${extracts.join(', ')}`);
+    const names = fs.existsSync(IMPORTS_DIR) ? (await fsp.readdir(IMPORTS_DIR)).filter(n => n.toLowerCase().endsWith('.geojson')).sort() : [];
+    if (!names.length) { console.log('No .geojson files found in imports directory. Nothing to do.'); return { partitions: {} }; }
+    const providerIds = Object.keys(loadConfig().providers);
+    const ctx = { exportIndexes: new Map() };
+    const totals = {};
+    for (const name of names) {
+        const filePath = path.join(IMPORTS_DIR, name);
+        const geojson = await readAndPrepareGeoJSON(filePath);
+        const state = await readProgressState(filePath, geojson);
+        const importFilter = await loadImportFilter(filePath, filter);
+        const features = geojson.features;
+        const { pending, outside } = pendingFeatureIndexes(geojson, state, importFilter, { rescrape });
+        const retryIds = retry ? new Set(retryableErrorIds(state, retryPermanent)) : null;
+        const indexes = retry
+            ? features.map((f, i) => i).filter(i => retryIds.has(featureId(features[i], i)) && (!importFilter || importFilter.contains(features[i])))
+            : pending;
+        const partitions = {};
+        let disregarded = 0, incomplete = 0;
+        for (const i of indexes) {
+            const feat = features[i];
+            const { addrProps } = await resolveAddrProps(feat);
+            const exportFileName = await buildExportFileName(addrProps, feat.geometry);
+            if (!exportFileName) { disregarded++; continue; }
+            if (!hasHouseAddress(addrProps)) { incomplete++; continue; }
+            const exportIndex = await getExportIndex(ctx, exportFileName);
+            const exported = !rescrape && providerIds.every(p => exportIndex.has(recordKey(p, featureId(feat, i))));
+            const entry = (partitions[exportFileName] = partitions[exportFileName] || { scrape: 0, exported: 0 });
+            entry[exported ? 'exported' : 'scrape']++;
+        }
+        console.log(`\n=== ${name} (${features.length - outside} features: ${state.progressSet.size} done, ${state.errorMap.size} errors, ${state.reviewSet.size} review) ===`);
+        if (importFilter) console.log(`  filter (${importFilter.source}): ${importFilter.description}, ${outside} features outside skipped`);
+        for (const [partition, entry] of Object.entries(partitions).sort((a, b) => a[0].localeCompare(b[0]))) {
+            console.log(`  ${partition.padEnd(40)} ${retry ? 'retry' : 'scrape'} ${entry.scrape}${entry.exported ? ` (already exported ${entry.exported})` : ''}`);
+            const total = (totals[partition] = totals[partition] || { scrape: 0, exported: 0 });
+            total.scrape += entry.scrape;
+            total.exported += entry.exported;
+        }
+        if (disregarded || incomplete) console.log(`  left out: ${disregarded} without city, parish or county, ${incomplete} with incomplete address${retry ? '' : ' (marked as errors)'}`);
+    }
+    const features = Object.values(totals).reduce((n, t) => n + t.scrape, 0);
+    const requests = features * providerIds.length;
+    console.log(`\nDry run: would ${retry ? 'retry' : 'scrape'} ${features} features in ${Object.keys(totals).length} partitions (${providerIds.join(', ')}: up to ${requests * 2} requests). Nothing written.`);
+    return { partitions: totals };
+}
+
+/** Convert the OSM extracts in imports/ to GeoJSON imports without scraping (osm-import.js). */
+async function ingestOsmImports() {
+    await fsp.mkdir(IMPORTS_DIR, { recursive: true });
+    const converted = await convertOsmImports(IMPORTS_DIR);
+    console.log(converted.length ? `Converted ${converted.length} OSM extract(s).` : 'No OSM extracts to convert in imports directory.');
+    return converted;
+}
+
+// ---- Re-extraction from raw cache ----
+
+/**
+ * Rebuild the offers of every export record from the cached raw payload (rawHash, or the latest
+ * payload cached for its addressKey up to the scrape date) using the provider's current normalizeOffers.
+ * No network calls; records without a cached payload are kept unchanged.
+ */
+async function reextractExports() {
+    const entries = fs.existsSync(EXPORTS_DIR) ? await fsp.readdir(EXPORTS_DIR) : [];
+    const ndjsonFiles = entries.filter(f => f.toLowerCase().endsWith('.ndjson'));
+    let rebuilt = 0, missing = 0;
+    for (const name of ndjsonFiles) {
+        const full = path.join(EXPORTS_DIR, name);
+        const lines = (await fsp.readFile(full, 'utf8')).split('\n');
+        const out = [];
+        let fileRebuilt = 0, fileMissing = 0;
+        for (const line of lines) {
+            const t = line.trim();
+            if (!t) continue;
+            let record;
+            try { record = JSON.parse(t); } catch { out.push(t + '\n'); continue; }
+            const providerId = record.provider || 'tet';
+            const hash = record.rawHash || (record.addressKey ? await findRawHash(providerId, record.addressKey, (record.scrapedAt || '').slice(0, 10) || null) : null);
+            const raw = hash ? await loadRawResponse(hash) : null;
+            if (raw) {
+                record.rawHash = hash;
+                record.offers = getOfferNormalizer(providerId)(raw);
+                fileRebuilt++;
+            } else {
+                fileMissing++;
+            }
+            out.push(JSON.stringify(record) + '\n');
+        }
+        await writeFileAtomic(full, out.join(''));
+        console.log(`${name}: ${fileRebuilt} re-extracted, ${fileMissing} without cached payload`);
+        rebuilt += fileRebuilt;
+        missing += fileMissing;
+    }
+    console.log(`Re-extracted ${rebuilt} records from cache (${missing} kept as-is). Rebuilding pointer.json…`);
+    if (ndjsonFiles.length) await buildPointerIndex();
+}
+
+// ---- Export compaction ----
+
+/**
+ * Rewrite every export with one record per provider + id: the latest one (by scrapedAt, later lines win
+ * ties) across all exports, placed in the partition buildExportFileName assigns it today. Older
+ * snapshots and copies left in a partition the record no longer belongs to are dropped; a latest record
+ * sitting in the wrong partition is moved. Kept records get their geometry re-prepared with the current
+ * exportGeometry options. Emptied exports are deleted, then pointer.json is rebuilt.
+ * dryRun only prints what would change.
+ */
+async function compactExports({ dryRun = false } = {}) {
+    const report = createRunReport('compact');
+    const entries = fs.existsSync(EXPORTS_DIR) ? await fsp.readdir(EXPORTS_DIR) : [];
+    const ndjsonFiles = entries.filter(f => f.toLowerCase().endsWith('.ndjson'));
+    const files = new Map(); // name -> [{ key, record, text }]
+    const latest = new Map(); // recordKey -> { file, item }
+    let before = 0;
+    for (const name of ndjsonFiles) {
+        const items = [];
+        for (const line of (await fsp.readFile(path.join(EXPORTS_DIR, name), 'utf8')).split('\n')) {
+            const t = line.trim();
+            if (!t) continue;
+            let record = null;
+            try { record = JSON.parse(t); } catch { /* kept verbatim below */ }
+            const key = record && record.id ? recordKey(record.provider, record.id) : null;
+            const item = { key, record, text: t };
+            items.push(item);
+            before++;
+            if (!key) continue;
+            const cur = latest.get(key);
+            if (!cur || (record.scrapedAt || '') >= (cur.item.record.scrapedAt || '')) latest.set(key, { file: name, item });
+        }
+        files.set(name, items);
+    }
+
+    const out = new Map(ndjsonFiles.map(name => [name, []]));
+    const dropped = { superseded: 0, wrongPartition: 0 };
+    const droppedIds = [];
+    const relocated = [];
+    let geometryUpdated = 0;
+    const perFile = {};
+    const stat = (name) => (perFile[name] = perFile[name] || { before: 0, after: 0, superseded: 0, wrongPartition: 0, relocatedIn: 0, relocatedOut: 0 });
+    for (const [name, items] of files) {
+        stat(name).before = items.length;
+        for (const item of items) {
+            if (!item.key) { out.get(name).push(item.text); continue; } // malformed / id-less lines are kept
+            const win = latest.get(item.key);
+            if (win.item !== item) {
+                const reason = win.file === name ? 'superseded' : 'wrongPartition';
+                dropped[reason]++;
+                stat(name)[reason]++;
+                droppedIds.push({ id: item.record.id, provider: item.record.provider || 'tet', file: name, reason, scrapedAt: item.record.scrapedAt || null });
+                continue;
+            }
+            const target = (await buildExportFileName(item.record.properties || {}, item.record.geometry)) || name;
+            // Current exportGeometry options, so config changes reach existing records without a rescrape
+            const geometry = prepareExportGeometry(item.record.geometry);
+            let text = item.text;
+            if (geometry !== item.record.geometry && JSON.stringify(geometry) !== JSON.stringify(item.record.geometry)) {
+                text = JSON.stringify({ ...item.record, geometry });
+                geometryUpdated++;
+            }
+            if (!out.has(target)) out.set(target, []);
+            out.get(target).push(text);
+            if (target !== name) {
+                stat(name).relocatedOut++;
+                stat(target).relocatedIn++;
+                relocated.push({ id: item.record.id, provider: item.record.provider || 'tet', from: name, to: target });
+            }
+        }
+    }
+
+    for (const [name, lines] of out) {
+        const full = path.join(EXPORTS_DIR, name);
+        stat(name).after = lines.length;
+        if (dryRun) continue;
+        if (!lines.length) {
+            if (fs.existsSync(full)) await fsp.unlink(full);
+            continue;
+        }
+        await writeFileAtomic(full, lines.join('\n') + '\n');
+    }
+
+    let after = 0;
+    for (const [name, st] of Object.entries(perFile).sort((a, b) => a[0].localeCompare(b[0]))) {
+        after += st.after;
+        if (st.before === st.after && !st.relocatedIn) continue;
+        console.log(`${name}: ${st.before} -> ${st.after} (superseded ${st.superseded}, wrong partition ${st.wrongPartition}, moved out ${st.relocatedOut}, moved in ${st.relocatedIn})${st.after ? '' : ' [removed]'}`);
+    }
+    for (const r of relocated) console.log(`  moved ${r.id}: ${r.from} -> ${r.to}`);
+    const summary = `${ndjsonFiles.length} exports: ${before} -> ${after} records (${dropped.superseded} superseded, ${dropped.wrongPartition} in wrong partition dropped, ${relocated.length} moved, ${geometryUpdated} geometries updated)`;
+    if (dryRun) {
+        console.log(`Dry run: would compact ${summary}. Nothing written.`);
+        return;
+    }
+    console.log(`Compacted ${summary}. Rebuilding pointer.json…`);
+    if (after) await buildPointerIndex();
+    report.set('compact', { files: ndjsonFiles.length, recordsBefore: before, recordsAfter: after, dropped, relocated, geometryUpdated, perFile, droppedIds });
+    report.set('geometry', exportGeometryStats());
+    console.log(`Run report: ${path.relative(__dirname, await report.write())}`);
+}
+
+// ---- Analyst formats ----
+
+async function exportAnalystFormats({ formats = FORMATS, merge = false, partitions = null } = {}) {
+    const { outDir, files, records, offers } = await exportFormats(EXPORTS_DIR, { formats, merge, partitions });
+    for (const f of files) console.log(`  ${path.relative(__dirname, f)}`);
+    console.log(`Exported ${records} addresses / ${offers} offers as ${formats.join(', ')}${merge ? ' (merged)' : ''} into ${path.relative(__dirname, outDir)}/`);
+}
+
+// ---- Vector tiles ----
+
+async function buildTileArchive() {
+    const result = await buildVectorTiles(EXPORTS_DIR);
+    if (!result.file) { console.log('No exported addresses with offers. Nothing to tile.'); return; }
+    console.log(`Wrote ${path.relative(__dirname, result.file)}: ${result.addresses} addresses, ${result.tiles} tiles (${result.contents} unique) z${result.minZoom}-${result.maxZoom}, ${result.bytes} bytes.`);
 }
 
-module.exports = { run };
+// ---- Stats ----
+
+/**
+ * Read-only overview for the `stats` command:
+ *   imports  per import file: features (inside its filter), done, errors (errorReasons: count per reason, see
+ *            scrape-errors.js), review, pending (main pass), filter
+ *   exports  per partition: lines, addresses (latest record per provider + id with offers), offers,
+ *            fiber share, median regular price, bytes
+ *   review   low-confidence records per partition waiting in review/
+ */
+async function collectStats() {
+    const imports = [];
+    const importNames = fs.existsSync(IMPORTS_DIR) ? (await fsp.readdir(IMPORTS_DIR)).filter(n => n.toLowerCase().endsWith('.geojson')).sort() : [];
+    for (const name of importNames) {
+        const filePath = path.join(IMPORTS_DIR, name);
+        const geojson = await readAndPrepareGeoJSON(filePath);
+        const state = await readProgressState(filePath, geojson);
+        const importFilter = await loadImportFilter(filePath);
+        const { pending, outside } = pendingFeatureIndexes(geojson, state, importFilter);
+        imports.push({
+            name,
+            features: geojson.features.length - outside,
+            done: state.progressSet.size,
+            errors: state.errorMap.size,
+            errorReasons: summarizeErrors(geojson.errors),
+            review: state.reviewSet.size,
+            pending: pending.length,
+            filter: importFilter ? importFilter.description : null,
+            outsideFilter: outside,
+        });
+    }
+    const exportsList = [];
+    const exportNames = fs.existsSync(EXPORTS_DIR) ? (await fsp.readdir(EXPORTS_DIR)).filter(n => n.toLowerCase().endsWith('.ndjson')).sort() : [];
+    for (const name of exportNames) {
+        const full = path.join(EXPORTS_DIR, name);
+        const text = await fsp.readFile(full, 'utf8');
+        const records = await readLatestRecords(full);
+        const summary = summarizeAreaOffers(records.map(r => r.offers));
+        exportsList.push({
+            name,
+            lines: text.split('\n').filter(l => l.trim()).length,
+            addresses: records.length,
+            offers: records.reduce((n, r) => n + r.offers.length, 0),
+            fiberShare: summary.fiberShare,
+            medianPrice: summary.prices.regular ? summary.prices.regular.median : null,
+            bytes: Buffer.byteLength(text),
+        });
+    }
+    const review = {};
+    const reviewNames = fs.existsSync(REVIEW_DIR) ? (await fsp.readdir(REVIEW_DIR)).filter(n => n.toLowerCase().endsWith('.ndjson')).sort() : [];
+    for (const name of reviewNames) {
+        review[name] = (await fsp.readFile(path.join(REVIEW_DIR, name), 'utf8')).split('\n').filter(l => l.trim()).length;
+    }
+    return { imports, exports: exportsList, review };
+}
 
 // ---- Pointer index generation ----
 
-async function buildPointerIndex() {
+async function readPointerIndex() {
+    const pointerPath = path.join(EXPORTS_DIR, 'pointer.json');
+    try {
+        if (fs.existsSync(pointerPath)) {
+            const existing = JSON.parse(await fsp.readFile(pointerPath, 'utf8'));
+            if (Array.isArray(existing)) return existing;
+        }
+    } catch { /* rebuild from scratch */ }
+    return [];
+}
+
+/** updatedAt only moves when the partition content (hash) changed since the previous pointer.json. */
+function withStableTimestamp(prev, stats) {
+    const unchanged = prev && prev.hash && prev.hash === stats.hash && prev.updatedAt;
+    return { ...stats, updatedAt: unchanged ? prev.updatedAt : new Date().toISOString() };
+}
+
+/** Rebuild pointer.json from every export (dryRun: compute only). Resolves with { index, previous } (previous: name -> entry). */
+async function buildPointerIndex({ dryRun = false } = {}) {
     const pointerPath = path.join(EXPORTS_DIR, 'pointer.json');
+    const previous = new Map((await readPointerIndex()).map(e => [e.name, e]));
     const entries = await fsp.readdir(EXPORTS_DIR);
     const ndjsonFiles = entries.filter(f => f.toLowerCase().endsWith('.ndjson'));
     const index = [];
     for (const name of ndjsonFiles) {
         const full = path.join(EXPORTS_DIR, name);
         const stats = await computeFileStats(full, name);
-        if (stats) index.push(stats);
+        if (stats) index.push(withStableTimestamp(previous.get(name), stats));
     }
     index.sort((a,b)=>a.name.localeCompare(b.name));
-    await fsp.writeFile(pointerPath, JSON.stringify(index, null, 2), 'utf8');
+    if (!dryRun) await fsp.writeFile(pointerPath, JSON.stringify(index, null, 2), 'utf8');
+    return { index, previous };
+}
+
+/** `pointer` command: full pointer.json rebuild, listing the partitions whose content changed. */
+async function rebuildPointer({ dryRun = false } = {}) {
+    if (!fs.existsSync(EXPORTS_DIR)) { console.log('No exports directory. Nothing to index.'); return; }
+    const { index, previous } = await buildPointerIndex({ dryRun });
+    let changed = 0;
+    for (const entry of index) {
+        const prev = previous.get(entry.name);
+        if (prev && prev.hash === entry.hash) continue;
+        changed++;
+        console.log(`  ${prev ? 'changed' : 'new    '} ${entry.name} (${entry.count} records)`);
+    }
+    const names = new Set(index.map(e => e.name));
+    const removed = Array.from(previous.keys()).filter(n => !names.has(n));
+    for (const name of removed) console.log(`  removed ${name}`);
+    const summary = `${index.length} partitions, ${changed} new or changed, ${removed.length} removed`;
+    console.log(dryRun ? `Dry run: pointer.json would list ${summary}. Nothing written.` : `pointer.json written: ${summary}.`);
 }
 
 async function updatePointerIndexIncremental(changedSet) {
     if (!changedSet || !changedSet.size) return;
     const pointerPath = path.join(EXPORTS_DIR, 'pointer.json');
-    let existing = [];
-    try {
-        if (fs.existsSync(pointerPath)) {
-            const txt = await fsp.readFile(pointerPath, 'utf8');
-            existing = JSON.parse(txt);
-            if (!Array.isArray(existing)) existing = [];
-        }
-    } catch { existing = []; }
     // Map by name
-    const map = new Map(existing.map(e => [e.name, e]));
+    const map = new Map((await readPointerIndex()).map(e => [e.name, e]));
     for (const name of changedSet) {
         const full = path.join(EXPORTS_DIR, name);
         if (!fs.existsSync(full)) continue;
         const stats = await computeFileStats(full, name);
         if (stats) {
-            // Merge to retain previous outline if new outline is null (unlikely) but always refresh timestamp
+            // Merge to retain previous outline if new outline is null (unlikely)
             const prev = map.get(name) || {};
-            map.set(name, { ...prev, ...stats, updatedAt: new Date().toISOString() });
+            map.set(name, { ...prev, ...withStableTimestamp(prev, stats) });
         }
     }
     const outArr = Array.from(map.values()).sort((a,b)=>a.name.localeCompare(b.name));
-    await fsp.writeFile(pointerPath, JSON.stringify(outArr, null, 2));
+    await fsp.writeFile(pointerPath, JSON.stringify(outArr, null, 2), 'utf8');
 }
 
 function collectCoords(geometry, collector) {
@@ -831,14 +1142,32 @@ function collectCoords(geometry, collector) {
     }
 }
 
+/** mulberry32 seeded from a string: deterministic [0, 1) sequence. */
+function seededRandom(seedText) {
+    let a = createHash('sha256').update(String(seedText)).digest().readUInt32LE(0);
+    return function () {
+        a = (a + 0x6D2B79F5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 async function computeFileStats(fullPath, name) {
-    return new Promise((resolve, reject) => {
-        let count = 0;
+    const allPoints = [];
+    const hash = createHash('sha256');
+    let bytes = 0;
+    const stats = await new Promise((resolve, reject) => {
+        // Re-scrapes append a newer snapshot of the same id; only the latest line per provider + id is counted
+        const latestOffers = new Map();
         let north = null, south = null, east = null, west = null; // store {coord:[lon,lat], lat, lon}
         const POINT_LIMIT = 20000; // safety cap
-        const allPoints = [];
+        const random = seededRandom(name);
+        let seen = 0;
+        const input = fs.createReadStream(fullPath);
+        input.on('data', (chunk) => { hash.update(chunk); bytes += chunk.length; });
         const lineReader = require('readline').createInterface({
-            input: fs.createReadStream(fullPath, { encoding: 'utf8' }),
+            input,
             crlfDelay: Infinity
         });
         lineReader.on('line', (line) => {
@@ -846,8 +1175,10 @@ async function computeFileStats(fullPath, name) {
             if (!trimmed) return;
             try {
                 const obj = JSON.parse(trimmed);
-                if (!obj || !Array.isArray(obj.offers) || obj.offers.length === 0) return;
-                count++;
+                if (!obj) return;
+                const hasOffers = Array.isArray(obj.offers) && obj.offers.length > 0;
+                if (obj.id) latestOffers.set(recordKey(obj.provider, obj.id), hasOffers ? obj.offers : null);
+                if (!hasOffers) return;
                 collectCoords(obj.geometry, (c) => {
                     const lon = c[0];
                     const lat = c[1];
@@ -856,47 +1187,60 @@ async function computeFileStats(fullPath, name) {
                     if (!south || lat < south.lat) south = { coord: [lon, lat], lat, lon };
                     if (!east  || lon > east.lon)  east  = { coord: [lon, lat], lat, lon };
                     if (!west  || lon < west.lon)  west  = { coord: [lon, lat], lat, lon };
+                    // Reservoir sample with a PRNG seeded by the partition name => same file, same outline
+                    seen++;
                     if (allPoints.length < POINT_LIMIT) {
                         allPoints.push([lon, lat]);
-                    } else if (Math.random() < 0.0005) { // very light reservoir style sample
-                        const idx = Math.floor(Math.random() * POINT_LIMIT);
-                        allPoints[idx] = [lon, lat];
+                    } else {
+                        const idx = Math.floor(random() * seen);
+                        if (idx < POINT_LIMIT) allPoints[idx] = [lon, lat];
                     }
                 });
             } catch { /* ignore malformed */ }
         });
         lineReader.on('close', () => {
-            if (count === 0) return resolve({ name, path: name, count: 0, furthestPoints: [], updatedAt: new Date().toISOString() });
+            let count = 0;
+            for (const offers of latestOffers.values()) if (offers) count++;
+            if (count === 0) return resolve({ schemaVersion: POINTER_SCHEMA_VERSION, name, path: name, count: 0, furthestPoints: [] });
             const pointsArr = [];
             if (north) pointsArr.push({ direction: 'north', coord: north.coord });
             if (south) pointsArr.push({ direction: 'south', coord: south.coord });
             if (east)  pointsArr.push({ direction: 'east',  coord: east.coord });
             if (west)  pointsArr.push({ direction: 'west',  coord: west.coord });
-            const outline = buildOutlinePolygon(allPoints);
-            resolve({ name, path: name, count, furthestPoints: pointsArr, outline, updatedAt: new Date().toISOString() });
+            resolve({
+                schemaVersion: POINTER_SCHEMA_VERSION,
+                name, path: name, count,
+                ...summarizeAreaOffers(latestOffers.values()),
+                furthestPoints: pointsArr,
+                outline: null,
+            });
         });
         lineReader.on('error', reject);
     });
+    stats.hash = hash.digest('hex');
+    stats.bytes = bytes;
+    if (stats.count) stats.outline = await buildOutline(allPoints, name);
+    const changes = await summarizeChanges(EXPORTS_DIR, name);
+    if (changes) stats.changes = changes;
+    return stats;
 }
 
-function buildOutlinePolygon(points) {
-    if (!points || points.length < 3) return null;
-    // Deduplicate
-    const keySet = new Set();
-    const uniq = [];
-    for (const p of points) {
-        const k = p[0].toFixed(6)+','+p[1].toFixed(6);
-        if (!keySet.has(k)) { keySet.add(k); uniq.push(p); }
-    }
-    if (uniq.length < 3) return null;
-    // Monotonic chain convex hull (lon = x, lat = y)
-    uniq.sort((a,b)=> a[0]===b[0] ? a[1]-b[1] : a[0]-b[0]);
-    const cross = (o,a,b)=> (a[0]-o[0])*(b[1]-o[1]) - (a[1]-o[1])*(b[0]-o[0]);
-    const lower=[]; for (const p of uniq){ while(lower.length>=2 && cross(lower[lower.length-2], lower[lower.length-1], p)<=0) lower.pop(); lower.push(p);} 
-    const upper=[]; for (let i=uniq.length-1;i>=0;i--){ const p=uniq[i]; while(upper.length>=2 && cross(upper[upper.length-2], upper[upper.length-1], p)<=0) upper.pop(); upper.push(p);} 
-    const hull = lower.slice(0, -1).concat(upper.slice(0, -1));
-    if (hull.length < 3) return null;
-    // Close ring
-    const ring = hull.concat([hull[0]]);
-    return { type: 'Polygon', coordinates: [ ring ] };
+module.exports = {
+    scrapeImports,
+    ingestOsmImports,
+    planScrape,
+    rebuildPointer,
+    compactExports,
+    exportAnalystFormats,
+    buildTileArchive,
+    reextractExports,
+    collectStats,
+};
+
+if (require.main === module) {
+    // Old entry point: map the mode flags onto cli.js commands, other options pass through
+    const LEGACY_FLAGS = { '--validate': 'retry', '--update': 'pointer', '--compact': 'compact', '--export': 'export', '--tiles': 'tiles', '--reextract': 'reextract' };
+    const args = process.argv.slice(2);
+    const flag = args.find(a => LEGACY_FLAGS[a]);
+    require('./cli').main([flag ? LEGACY_FLAGS[flag] : 'scrape', ...args.filter(a => a !== flag)]);
 }
@@ -0,0 +1,74 @@
+/**
+ * Per-partition offer statistics for pointer.json (schema v2).
+ *
+ * Input is the latest offers of every address in a partition; output:
+ *   connectionTypes  addresses offering each normalized type  { fiber: 120, dsl: 30, mobile: 150 }
+ *   fiberShare       share of addresses with fiber (0..1, 3 decimals)
+ *   prices           { regular: { min, median, max }, promo: { min, median, max } } in EUR/month (null when none)
+ *   speed            { minMbit, maxMbit } over all advertised speeds (null when none)
+ *
+ * Connection types are normalized like the frontend (DataUtils.normalizeConnectionType).
+ */
+
+const POINTER_SCHEMA_VERSION = 2;
+
+function normalizeConnectionType(type) {
+    if (!type) return 'unknown';
+    const t = String(type).toLowerCase();
+    if (/(fiber|optik)/.test(t)) return 'fiber';
+    if (/(vdsl|dsl)/.test(t)) return 'dsl';
+    if (/cable/.test(t)) return 'cable';
+    if (/(mobile|4g|5g|wireless)/.test(t)) return 'mobile';
+    if (/satellite|satelit/.test(t)) return 'satellite';
+    return t;
+}
+
+function round2(n) {
+    return Math.round(n * 100) / 100;
+}
+
+function priceRange(values) {
+    if (!values.length) return null;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mid = sorted.length >> 1;
+    const median = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    return { min: round2(sorted[0]), median: round2(median), max: round2(sorted[sorted.length - 1]) };
+}
+
+/** Aggregate an iterable of offer arrays (one per address). */
+function summarizeAreaOffers(offerLists) {
+    const connectionTypes = {};
+    const regular = [];
+    const promo = [];
+    let addresses = 0;
+    let withFiber = 0;
+    let minMbit = Infinity;
+    let maxMbit = -Infinity;
+    for (const offers of offerLists) {
+        if (!Array.isArray(offers) || !offers.length) continue;
+        addresses++;
+        const types = new Set();
+        for (const o of offers) {
+            if (!o) continue;
+            types.add(normalizeConnectionType(o.connectionType));
+            const price = o.pricePerMonthEur;
+            if (typeof price === 'number' && isFinite(price)) (o.promotion ? promo : regular).push(price);
+            const s = o.speed || {};
+            for (const v of [s.minMbit, s.maxMbit, s.upToMbit]) {
+                if (typeof v !== 'number' || !isFinite(v)) continue;
+                if (v < minMbit) minMbit = v;
+                if (v > maxMbit) maxMbit = v;
+            }
+        }
+        for (const t of types) connectionTypes[t] = (connectionTypes[t] || 0) + 1;
+        if (types.has('fiber')) withFiber++;
+    }
+    return {
+        connectionTypes,
+        fiberShare: addresses ? Math.round((withFiber / addresses) * 1000) / 1000 : 0,
+        prices: { regular: priceRange(regular), promo: priceRange(promo) },
+        speed: minMbit === Infinity ? null : { minMbit, maxMbit },
+    };
+}
+
+module.exports = { summarizeAreaOffers, normalizeConnectionType, POINTER_SCHEMA_VERSION };
@@ -0,0 +1,371 @@
+/**
+ * Boundary polygons used to split a city's export into sub-area partitions (neighborhoods, districts).
+ *
+ * boundaries/boundaries.json maps a city slug (see slugify in api.js) to its polygon file and the feature
+ * property holding the area name:
+ *     { "riga": { "file": "riga_neighborhoods.geojson", "nameProperty": "Name" } }
+ * Files are GeoJSON FeatureCollections of (Multi)Polygons in boundaries/. They are loaded lazily, once per
+ * city, together with a uniform grid index (each cell lists the areas whose bbox overlaps it).
+ *
+ * A feature with addr:city but no addr:district lands in <area>_<city>_<country>.ndjson when its
+ * representative point (Point itself, polygon centroid, middle vertex of a line) falls inside an area
+ * (the smallest containing area wins), otherwise in <city>_<country>.ndjson. Only when that point hits
+ * nothing are all vertices tested one by one; disable that fallback with `boundaryVertexFallback: false`.
+ *
+ * boundaries/admin.json lists Latvia-wide administrative polygons per level, used to fill in the address of
+ * features without addr:city (findAdminAreas):
+ *     { "city": { "file": "lv_cities.geojson", "nameProperty": "name" },      // cities, towns and villages
+ *       "parish": { "file": "lv_parishes.geojson" }, "county": { "file": "lv_counties.geojson" } }
+ * Levels map to addr:city, addr:subdistrict and addr:district; missing levels are simply not inferred.
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { loadConfig } = require('./config');
+
+const BOUNDARIES_DIR = path.resolve(__dirname, 'boundaries');
+const BOUNDARIES_CONFIG = path.join(BOUNDARIES_DIR, 'boundaries.json');
+const ADMIN_CONFIG = path.join(BOUNDARIES_DIR, 'admin.json');
+const ADMIN_LEVELS = { city: 'addr:city', parish: 'addr:subdistrict', county: 'addr:district' };
+
+let boundaryConfig = null; // citySlug -> { file, nameProperty }
+let adminConfig = null; // level -> { file, nameProperty }
+const loadedIndexes = new Map(); // citySlug / admin:<level> -> Promise<{ areas, grid }>
+const counters = { lookups: 0, representative: 0, fallback: 0, unmatched: 0 };
+const adminCounters = { lookups: 0, city: 0, parish: 0, county: 0, unmatched: 0 };
+
+const TARGET_AREAS_PER_CELL = 2;
+
+function readConfigFile(file) {
+    if (!fs.existsSync(file)) return {};
+    try {
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return data && typeof data === 'object' ? data : {};
+    } catch (e) {
+        throw new Error(`Invalid ${path.relative(__dirname, file)}: ${e.message}`);
+    }
+}
+
+function loadBoundaryConfig() {
+    if (!boundaryConfig) boundaryConfig = readConfigFile(BOUNDARIES_CONFIG);
+    return boundaryConfig;
+}
+
+function loadAdminConfig() {
+    if (!adminConfig) adminConfig = readConfigFile(ADMIN_CONFIG);
+    return adminConfig;
+}
+
+function areaName(f, nameProperty) {
+    if (!f || !f.properties) return null;
+    const p = f.properties;
+    return (nameProperty && p[nameProperty]) || p.neighborhood || p.Name || p.name || p.NAME || null;
+}
+
+function computeBBox(geom) {
+    const pts = [];
+    flattenAllPoints(geom, pts);
+    let minLon = Infinity, minLat = Infinity, maxLon = -Infinity, maxLat = -Infinity;
+    for (const [lon, lat] of pts) {
+        if (typeof lon !== 'number' || typeof lat !== 'number') continue;
+        if (lon < minLon) minLon = lon; if (lon > maxLon) maxLon = lon;
+        if (lat < minLat) minLat = lat; if (lat > maxLat) maxLat = lat;
+    }
+    if (minLon === Infinity) return null;
+    return { minLon, minLat, maxLon, maxLat };
+}
+
+function ringArea(ring) {
+    let a = 0;
+    for (let i = 0; i < ring.length - 1; i++) { const [x1, y1] = ring[i]; const [x2, y2] = ring[i + 1]; a += x1 * y2 - x2 * y1; }
+    return Math.abs(a / 2);
+}
+
+function outerArea(g) {
+    if (g.type === 'Polygon') return ringArea(g.coordinates[0]);
+    if (g.type === 'MultiPolygon') return g.coordinates.reduce((s, p) => s + (Array.isArray(p) && p.length ? ringArea(p[0]) : 0), 0);
+    return 0;
+}
+
+async function readAreas(entry) {
+    try {
+        const data = JSON.parse(await fsp.readFile(path.resolve(BOUNDARIES_DIR, entry.file), 'utf8'));
+        if (!data || data.type !== 'FeatureCollection' || !Array.isArray(data.features)) return [];
+        const areas = [];
+        for (const f of data.features) {
+            if (!f || !f.geometry || !f.properties) continue;
+            const name = areaName(f, entry.nameProperty);
+            if (!name) continue;
+            let bbox = null;
+            let area = 0;
+            try { bbox = computeBBox(f.geometry); area = outerArea(f.geometry); } catch { /* keep defaults */ }
+            areas.push({ name, feature: f, bbox, area });
+        }
+        return areas;
+    } catch (e) {
+        console.warn(`Boundary file ${entry.file} could not be loaded: ${e.message}`);
+        return [];
+    }
+}
+
+/**
+ * Uniform grid over the union of area bboxes. `cells[row * cols + col]` holds the areas whose bbox
+ * overlaps that cell; areas without a bbox are checked for every point (`always`).
+ */
+function buildGrid(areas) {
+    const boxed = areas.filter(a => a.bbox);
+    const always = areas.filter(a => !a.bbox);
+    if (!boxed.length) return { cols: 0, rows: 0, cells: [], always };
+    let minLon = Infinity, minLat = Infinity, maxLon = -Infinity, maxLat = -Infinity;
+    for (const { bbox: b } of boxed) {
+        if (b.minLon < minLon) minLon = b.minLon; if (b.maxLon > maxLon) maxLon = b.maxLon;
+        if (b.minLat < minLat) minLat = b.minLat; if (b.maxLat > maxLat) maxLat = b.maxLat;
+    }
+    const side = Math.max(1, Math.ceil(Math.sqrt(boxed.length / TARGET_AREAS_PER_CELL)));
+    const cols = side, rows = side;
+    const cellW = (maxLon - minLon) / cols || 1;
+    const cellH = (maxLat - minLat) / rows || 1;
+    const cells = Array.from({ length: cols * rows }, () => []);
+    const col = (lon) => Math.min(cols - 1, Math.max(0, Math.floor((lon - minLon) / cellW)));
+    const row = (lat) => Math.min(rows - 1, Math.max(0, Math.floor((lat - minLat) / cellH)));
+    for (const a of boxed) {
+        for (let r = row(a.bbox.minLat); r <= row(a.bbox.maxLat); r++) {
+            for (let c = col(a.bbox.minLon); c <= col(a.bbox.maxLon); c++) cells[r * cols + c].push(a);
+        }
+    }
+    return { minLon, minLat, maxLon, maxLat, cols, rows, cells, always, col, row };
+}
+
+function gridCandidates(grid, [lon, lat]) {
+    if (!grid.cols || lon < grid.minLon || lon > grid.maxLon || lat < grid.minLat || lat > grid.maxLat) return grid.always;
+    const cell = grid.cells[grid.row(lat) * grid.cols + grid.col(lon)];
+    return grid.always.length ? cell.concat(grid.always) : cell;
+}
+
+function loadIndex(key, entry) {
+    if (!loadedIndexes.has(key)) {
+        const pending = entry && entry.file ? readAreas(entry) : Promise.resolve([]);
+        loadedIndexes.set(key, pending.then(areas => ({ areas, grid: buildGrid(areas) })));
+    }
+    return loadedIndexes.get(key);
+}
+
+/** Sub-areas and their grid index for a city slug (no areas when the city has no boundary file). */
+function loadBoundaryIndex(citySlug) {
+    return loadIndex(citySlug, loadBoundaryConfig()[citySlug]);
+}
+
+function getPointFromGeometry(geometry) {
+    if (!geometry) return null;
+    const t = geometry.type;
+    const c = geometry.coordinates;
+    if (!t) return null;
+    switch (t) {
+        case 'Point':
+            if (Array.isArray(c) && c.length >= 2) return c;
+            return null;
+        case 'MultiPoint':
+            if (Array.isArray(c) && c.length) return c[0];
+            return null;
+        case 'LineString':
+            if (Array.isArray(c) && c.length) return c[Math.floor(c.length/2)];
+            return null;
+        case 'MultiLineString':
+            if (Array.isArray(c) && c.length && Array.isArray(c[0]) && c[0].length) return c[0][Math.floor(c[0].length/2)];
+            return null;
+        case 'Polygon':
+            // simple centroid of outer ring
+            if (Array.isArray(c) && c.length && Array.isArray(c[0])) return ringCentroid(c[0]);
+            return null;
+        case 'MultiPolygon':
+            if (Array.isArray(c) && c.length && Array.isArray(c[0]) && c[0].length) return ringCentroid(c[0][0]);
+            return null;
+        default:
+            return null;
+    }
+}
+
+function ringCentroid(ring) {
+    if (!Array.isArray(ring) || ring.length === 0) return null;
+    let area = 0, cx = 0, cy = 0;
+    for (let i=0;i<ring.length-1;i++) {
+        const [x1,y1] = ring[i];
+        const [x2,y2] = ring[i+1];
+        const a = x1*y2 - x2*y1;
+        area += a;
+        cx += (x1 + x2) * a;
+        cy += (y1 + y2) * a;
+    }
+    if (area === 0) return ring[0];
+    area *= 0.5;
+    return [cx/(6*area), cy/(6*area)];
+}
+
+function pointInPolygon(point, polygonCoords) {
+    // Ray casting; polygonCoords is array of [lon,lat]
+    let inside = false;
+    for (let i=0,j=polygonCoords.length-1;i<polygonCoords.length;j=i++) {
+        const xi = polygonCoords[i][0], yi = polygonCoords[i][1];
+        const xj = polygonCoords[j][0], yj = polygonCoords[j][1];
+        const intersect = ((yi>point[1]) !== (yj>point[1])) && (point[0] < (xj - xi) * (point[1]-yi) / (yj-yi + 1e-15) + xi);
+        if (intersect) inside = !inside;
+    }
+    return inside;
+}
+
+function pointInPolygonEitherOrder(point, polygonCoords) {
+    // Try normal order lon,lat first
+    if (pointInPolygon(point, polygonCoords)) return true;
+    // If coords look like [lat,lon] (first between 55-58 and second 23-26 typical for Latvia) then treat swapped
+    const looksLatLon = polygonCoords && polygonCoords.length >= 3 && polygonCoords.slice(0,5).some(c => c && Math.abs(c[0]) > 50 && Math.abs(c[1]) < 50);
+    if (looksLatLon) {
+        const swappedRing = polygonCoords.map(c => [c[1], c[0]]);
+        if (pointInPolygon(point, swappedRing)) return true;
+    }
+    // Try swapping point (if user geometry point maybe lat,lon)
+    const swappedPoint = [point[1], point[0]];
+    if (pointInPolygon(swappedPoint, polygonCoords)) return true;
+    if (looksLatLon) {
+        const swappedRing = polygonCoords.map(c => [c[1], c[0]]);
+        if (pointInPolygon(swappedPoint, swappedRing)) return true;
+    }
+    return false;
+}
+
+function pointInFeature(point, feature) {
+    if (!feature || !feature.geometry) return false;
+    const g = feature.geometry;
+    if (g.type === 'Polygon') {
+        if (!Array.isArray(g.coordinates) || !g.coordinates.length) return false;
+        if (!pointInPolygonEitherOrder(point, g.coordinates[0])) return false;
+        // holes: if inside any hole -> exclude
+        for (let i=1;i<g.coordinates.length;i++) {
+            if (pointInPolygonEitherOrder(point, g.coordinates[i])) return false;
+        }
+        return true;
+    }
+    if (g.type === 'MultiPolygon') {
+        for (const poly of g.coordinates) {
+            if (!Array.isArray(poly) || !poly.length) continue;
+            if (pointInPolygonEitherOrder(point, poly[0])) {
+                let inHole = false;
+                for (let i=1;i<poly.length;i++) if (pointInPolygonEitherOrder(point, poly[i])) { inHole = true; break; }
+                if (!inHole) return true;
+            }
+        }
+        return false;
+    }
+    return false;
+}
+
+function flattenAllPoints(geometry, out) {
+    if (!geometry) return;
+    const t = geometry.type;
+    const c = geometry.coordinates;
+    switch (t) {
+        case 'Point':
+            if (Array.isArray(c) && c.length>=2) out.push(c);
+            break;
+        case 'MultiPoint':
+        case 'LineString':
+            if (Array.isArray(c)) c.forEach(p=> Array.isArray(p)&&p.length>=2 && out.push(p));
+            break;
+        case 'MultiLineString':
+        case 'Polygon':
+            if (Array.isArray(c)) c.forEach(r=> Array.isArray(r) && r.forEach(p=> Array.isArray(p)&&p.length>=2 && out.push(p)));
+            break;
+        case 'MultiPolygon':
+            if (Array.isArray(c)) c.forEach(pgon=> Array.isArray(pgon) && pgon.forEach(r=> Array.isArray(r)&&r.forEach(p=> Array.isArray(p)&&p.length>=2 && out.push(p))));
+            break;
+        case 'GeometryCollection':
+            if (Array.isArray(geometry.geometries)) geometry.geometries.forEach(g=>flattenAllPoints(g,out));
+            break;
+    }
+}
+
+function selectArea(index, point) {
+    if (!Array.isArray(point) || point.length < 2) return null;
+    let best = null;
+    const [plon, plat] = point;
+    for (const a of gridCandidates(index.grid, point)) {
+        try {
+            const b = a.bbox;
+            if (b && (plon < b.minLon || plon > b.maxLon || plat < b.minLat || plat > b.maxLat)) continue;
+            if (pointInFeature(point, a.feature) && (!best || a.area < best.area)) best = a;
+        } catch {}
+    }
+    return best ? best.name : null;
+}
+
+/** [name, 'representative' | 'fallback'] of the area containing `geometry`, or null. */
+function locateArea(index, geometry) {
+    const name = selectArea(index, getPointFromGeometry(geometry));
+    if (name) return [name, 'representative'];
+    if (loadConfig().boundaryVertexFallback !== false) {
+        const pts = [];
+        flattenAllPoints(geometry, pts);
+        for (const pt of pts) {
+            const hit = selectArea(index, pt);
+            if (hit) return [hit, 'fallback'];
+        }
+    }
+    return null;
+}
+
+/** Name of the sub-area of `citySlug` containing `geometry`, or null. */
+async function findBoundaryArea(citySlug, geometry) {
+    if (!geometry) return null;
+    const index = await loadBoundaryIndex(citySlug);
+    if (!index.areas.length) return null;
+    counters.lookups++;
+    const hit = locateArea(index, geometry);
+    if (!hit) { counters.unmatched++; return null; }
+    counters[hit[1]]++;
+    return hit[0];
+}
+
+/**
+ * Administrative areas (boundaries/admin.json) containing `geometry` as address tags:
+ * { 'addr:city', 'addr:subdistrict', 'addr:district' }, levels without a file or a hit left out.
+ */
+async function findAdminAreas(geometry) {
+    const config = loadAdminConfig();
+    const levels = Object.keys(ADMIN_LEVELS).filter(level => config[level] && config[level].file);
+    if (!geometry || !levels.length) return {};
+    adminCounters.lookups++;
+    const tags = {};
+    for (const level of levels) {
+        const index = await loadIndex(`admin:${level}`, config[level]);
+        const hit = index.areas.length ? locateArea(index, geometry) : null;
+        if (!hit) continue;
+        tags[ADMIN_LEVELS[level]] = hit[0];
+        adminCounters[level]++;
+    }
+    // State cities are their own county: no district next to the city (it would also skip the city's sub-areas)
+    if (tags['addr:district'] && tags['addr:district'] === tags['addr:city']) delete tags['addr:district'];
+    if (!Object.keys(tags).length) adminCounters.unmatched++;
+    return tags;
+}
+
+/** Lookup counters: { lookups, representative, fallback, unmatched }. */
+function boundaryStats() {
+    return { ...counters };
+}
+
+/** Admin lookup counters: { lookups, city, parish, county, unmatched } (hits per level). */
+function adminBoundaryStats() {
+    return { ...adminCounters };
+}
+
+module.exports = {
+    findBoundaryArea,
+    findAdminAreas,
+    loadBoundaryIndex,
+    loadBoundaryConfig,
+    boundaryStats,
+    adminBoundaryStats,
+    pointInFeature,
+    getPointFromGeometry,
+    BOUNDARIES_DIR,
+};
@@ -0,0 +1,134 @@
+/**
+ * Offer change detection between two scrapes of the same address.
+ *
+ * Offers are grouped per product (connectionType + originalTitle). Comparing the previous record's
+ * offers with the new ones yields events:
+ *   technology_added / technology_removed   connection type appeared / disappeared at the address
+ *   product_added / product_removed         product appeared / disappeared (technology unchanged)
+ *   price_changed                           regular monthly price changed            (from / to)
+ *   speed_changed                           advertised speed changed                 (from / to)
+ *   promo_started / promo_ended             promotional term appeared / disappeared  (promotionCode, price)
+ *   promo_changed                           promotion code or promo price changed    (from / to)
+ *
+ * Events are appended to exports/changes/<partition>.ndjson (one JSON object per line).
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+const CHANGES_DIRNAME = 'changes';
+
+function productKey(o) {
+    return `${o.connectionType || ''}|${o.originalTitle || ''}`;
+}
+
+function speedLabel(speed) {
+    if (!speed) return null;
+    if (speed.minMbit != null && speed.maxMbit != null) return `${speed.minMbit}-${speed.maxMbit}`;
+    if (speed.upToMbit != null) return `<=${speed.upToMbit}`;
+    return null;
+}
+
+/** Map productKey -> { connectionType, title, regular, promo } */
+function groupOffers(offers) {
+    const map = new Map();
+    for (const o of Array.isArray(offers) ? offers : []) {
+        if (!o) continue;
+        const key = productKey(o);
+        if (!map.has(key)) map.set(key, { connectionType: o.connectionType || null, title: o.originalTitle || null, regular: null, promo: null });
+        const entry = map.get(key);
+        if (o.promotion) entry.promo = o; else entry.regular = o;
+    }
+    return map;
+}
+
+function connectionTypes(groups) {
+    return new Set(Array.from(groups.values()).map(g => g.connectionType));
+}
+
+/**
+ * Compare offers of two scrapes. Returns an array of { type, connectionType, product, from, to }
+ * (empty when nothing changed).
+ */
+function diffOffers(prevOffers, nextOffers) {
+    const prev = groupOffers(prevOffers);
+    const next = groupOffers(nextOffers);
+    const events = [];
+    const prevTypes = connectionTypes(prev);
+    const nextTypes = connectionTypes(next);
+    for (const t of nextTypes) if (!prevTypes.has(t)) events.push({ type: 'technology_added', connectionType: t });
+    for (const t of prevTypes) if (!nextTypes.has(t)) events.push({ type: 'technology_removed', connectionType: t });
+
+    for (const [key, n] of next) {
+        const p = prev.get(key);
+        const base = { connectionType: n.connectionType, product: n.title };
+        if (!p) {
+            if (prevTypes.has(n.connectionType)) events.push({ type: 'product_added', ...base });
+            continue;
+        }
+        const pPrice = p.regular?.pricePerMonthEur ?? null;
+        const nPrice = n.regular?.pricePerMonthEur ?? null;
+        if (p.regular && n.regular && pPrice !== nPrice) events.push({ type: 'price_changed', ...base, from: pPrice, to: nPrice });
+        const pSpeed = speedLabel((p.regular || p.promo).speed);
+        const nSpeed = speedLabel((n.regular || n.promo).speed);
+        if (pSpeed !== nSpeed) events.push({ type: 'speed_changed', ...base, from: pSpeed, to: nSpeed });
+        if (!p.promo && n.promo) {
+            events.push({ type: 'promo_started', ...base, to: { promotionCode: n.promo.promotionCode, pricePerMonthEur: n.promo.pricePerMonthEur } });
+        } else if (p.promo && !n.promo) {
+            events.push({ type: 'promo_ended', ...base, from: { promotionCode: p.promo.promotionCode, pricePerMonthEur: p.promo.pricePerMonthEur } });
+        } else if (p.promo && n.promo && (p.promo.promotionCode !== n.promo.promotionCode || p.promo.pricePerMonthEur !== n.promo.pricePerMonthEur)) {
+            events.push({
+                type: 'promo_changed', ...base,
+                from: { promotionCode: p.promo.promotionCode, pricePerMonthEur: p.promo.pricePerMonthEur },
+                to: { promotionCode: n.promo.promotionCode, pricePerMonthEur: n.promo.pricePerMonthEur },
+            });
+        }
+    }
+    for (const [key, p] of prev) {
+        if (!next.has(key) && nextTypes.has(p.connectionType)) events.push({ type: 'product_removed', connectionType: p.connectionType, product: p.title });
+    }
+    return events;
+}
+
+function changesPathFor(exportsDir, exportFileName) {
+    return path.join(exportsDir, CHANGES_DIRNAME, exportFileName);
+}
+
+/** Append change events for one re-scraped record. `prev` / `next` are export records. */
+async function appendChangeEvents(exportsDir, exportFileName, prev, next, events) {
+    if (!events.length) return;
+    const out = changesPathFor(exportsDir, exportFileName);
+    await fsp.mkdir(path.dirname(out), { recursive: true });
+    const lines = events.map(e => JSON.stringify({
+        id: next.id,
+        address: next.address,
+        at: next.scrapedAt,
+        previousScrapedAt: prev.scrapedAt || null,
+        ...e,
+    }) + '\n').join('');
+    await fsp.appendFile(out, lines, 'utf8');
+}
+
+/** Per-partition change counts for pointer.json: { total, byType, lastChangeAt } or null. */
+async function summarizeChanges(exportsDir, exportFileName) {
+    const file = changesPathFor(exportsDir, exportFileName);
+    if (!fs.existsSync(file)) return null;
+    const text = await fsp.readFile(file, 'utf8');
+    const byType = {};
+    let total = 0;
+    let lastChangeAt = null;
+    for (const line of text.split('\n')) {
+        const t = line.trim();
+        if (!t) continue;
+        try {
+            const e = JSON.parse(t);
+            total++;
+            byType[e.type] = (byType[e.type] || 0) + 1;
+            if (e.at && (!lastChangeAt || e.at > lastChangeAt)) lastChangeAt = e.at;
+        } catch { /* ignore malformed */ }
+    }
+    return total ? { total, byType, lastChangeAt } : null;
+}
+
+module.exports = { diffOffers, appendChangeEvents, summarizeChanges, changesPathFor };
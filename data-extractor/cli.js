@@ -0,0 +1,322 @@
+#!/usr/bin/env node
+/**
+ * Extractor command line: `node cli.js <command> [options]` (`npm run cli -- <command> …`).
+ *
+ *   scrape     scrape every import in imports/ into exports/ (api.js)
+ *   ingest     convert OSM extracts (.osm / .osm.pbf) in imports/ to GeoJSON imports (osm-import.js)
+ *   retry      retry the failed ids of every import with a transient error (recovery pass only)
+ *   pointer    rebuild exports/pointer.json from all exports
+ *   compact    keep one latest record per id in its current partition
+ *   stats      progress of every import and size of every export (read-only)
+ *   export     CSV / GeoJSON / FlatGeobuf copies of the exports (formats.js)
+ *   tiles      vector tile archive exports/tiles/offers.pmtiles (tiles.js)
+ *   reextract  rebuild offers from the raw response cache (raw-cache.js)
+ *
+ * Options are `--name` (flags) or `--name=value`; every command takes --help, and unknown or malformed
+ * options are rejected before anything runs. --gateway=<url> is accepted by every command (config.js).
+ * `scrape` / `retry` with --engine=puppeteer run the browser scraper (index.js) instead of the gateway API.
+ *
+ * Exit codes: 0 ok, 1 the command failed, 2 usage error (unknown command / option, bad value),
+ * 3 scrape / retry finished but features failed in this run (run `retry` later).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { FORMATS } = require('./formats');
+const { parseBbox } = require('./import-filter');
+const { formatErrorSummary } = require('./scrape-errors');
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+const EXIT_INCOMPLETE = 3;
+
+class UsageError extends Error {}
+
+const DRY_RUN = { type: 'flag', description: 'print what would be done without writing anything' };
+
+// Replace the filter sidecar of every import for this run (import-filter.js)
+const FILTER_OPTIONS = {
+    bbox: { type: 'bbox', value: 'minLon,minLat,maxLon,maxLat', description: 'only features inside this box' },
+    clip: { type: 'file', value: 'FILE', description: 'only features inside the (Multi)Polygons of this GeoJSON file' },
+};
+
+const ENGINES = ['api', 'puppeteer'];
+
+const ENGINE_OPTION = {
+    engine: { type: 'choice', value: 'NAME', choices: ENGINES, description: 'puppeteer runs the browser scraper (index.js: export.geojson -> tet_offers.ndjson); default api' },
+};
+
+/**
+ * True for --engine=puppeteer. The browser scraper keeps its own input and progress files, so the other
+ * options of the command do not apply to it and are rejected.
+ */
+function usesPuppeteer(opts) {
+    if (opts.engine !== 'puppeteer') return false;
+    const other = Object.keys(opts).filter(name => !['engine', 'help'].includes(name) && opts[name] !== false && opts[name] !== undefined);
+    if (other.length) throw new UsageError(`--engine=puppeteer does not take ${other.map(n => `--${n}`).join(', ')}`);
+    return true;
+}
+
+function filterOption(opts) {
+    return opts.bbox || opts.clip ? { bbox: opts.bbox || null, clip: opts.clip || null } : null;
+}
+
+const GLOBAL_OPTIONS = {
+    help: { type: 'flag', description: 'show help for the command (also -h)' },
+    gateway: { type: 'url', value: 'URL', description: 'Tet gateway base URL (overrides config and TET_GATEWAY_URL)' },
+};
+
+const COMMANDS = {
+    scrape: {
+        summary: 'Scrape every import in imports/ into per-partition exports.',
+        options: {
+            batch: { type: 'int', value: 'N', description: 'features scraped concurrently (default BATCH_SIZE or 5)' },
+            rescrape: { type: 'flag', description: 'scrape every feature again, also done, failed, review and exported ones (records offer changes)' },
+            ...FILTER_OPTIONS,
+            'dry-run': { ...DRY_RUN, description: 'per import and partition, print how many features would be scraped' },
+            ...ENGINE_OPTION,
+        },
+        async run(api, opts) {
+            if (usesPuppeteer(opts)) {
+                await require('./index').run();
+                return EXIT_OK;
+            }
+            if (opts['dry-run']) {
+                await api.planScrape({ rescrape: opts.rescrape, filter: filterOption(opts) });
+                return EXIT_OK;
+            }
+            const { failed } = await api.scrapeImports({ rescrape: opts.rescrape, batchSize: opts.batch, filter: filterOption(opts) });
+            return failed ? EXIT_INCOMPLETE : EXIT_OK;
+        },
+    },
+    ingest: {
+        summary: 'Convert the OSM extracts (.osm / .osm.pbf) in imports/ to GeoJSON imports (scrape does this too).',
+        options: {},
+        async run(api) {
+            await api.ingestOsmImports();
+            return EXIT_OK;
+        },
+    },
+    retry: {
+        summary: 'Retry the failed ids of every import whose error is transient (no main scrape pass).',
+        options: {
+            batch: { type: 'int', value: 'N', description: 'features retried concurrently (default BATCH_SIZE or 5)' },
+            permanent: { type: 'flag', description: 'also retry permanent errors (incomplete address, no search hits, 4xx, parse errors)' },
+            ...FILTER_OPTIONS,
+            'dry-run': { ...DRY_RUN, description: 'per import and partition, print how many failed features would be retried' },
+            ...ENGINE_OPTION,
+        },
+        async run(api, opts) {
+            if (usesPuppeteer(opts)) {
+                await require('./index').cleanupErrorFile();
+                return EXIT_OK;
+            }
+            if (opts['dry-run']) {
+                await api.planScrape({ retry: true, retryPermanent: opts.permanent, filter: filterOption(opts) });
+                return EXIT_OK;
+            }
+            const { failed } = await api.scrapeImports({ retry: true, retryPermanent: opts.permanent, batchSize: opts.batch, filter: filterOption(opts) });
+            return failed ? EXIT_INCOMPLETE : EXIT_OK;
+        },
+    },
+    pointer: {
+        summary: 'Rebuild exports/pointer.json from all exports (no scraping).',
+        options: { 'dry-run': { ...DRY_RUN, description: 'list the partitions whose pointer entry would change' } },
+        async run(api, opts) {
+            await api.rebuildPointer({ dryRun: opts['dry-run'] });
+            return EXIT_OK;
+        },
+    },
+    compact: {
+        summary: 'Rewrite exports with one latest record per id in its current partition, then rebuild pointer.json.',
+        options: { 'dry-run': { ...DRY_RUN, description: 'print per export what would be dropped or moved' } },
+        async run(api, opts) {
+            await api.compactExports({ dryRun: opts['dry-run'] });
+            return EXIT_OK;
+        },
+    },
+    stats: {
+        summary: 'Print import progress and export sizes (read-only).',
+        options: { json: { type: 'flag', description: 'print the statistics as JSON' } },
+        async run(api, opts) {
+            const stats = await api.collectStats();
+            if (opts.json) console.log(JSON.stringify(stats, null, 2));
+            else printStats(stats);
+            return EXIT_OK;
+        },
+    },
+    export: {
+        summary: 'Write CSV / GeoJSON / FlatGeobuf copies of the exports to exports/formats/.',
+        options: {
+            format: { type: 'list', value: 'a,b', choices: FORMATS, description: `formats to write (default ${FORMATS.join(',')})` },
+            merge: { type: 'flag', description: 'one all.<ext> per format instead of one file per partition' },
+            partition: { type: 'list', value: 'a,b', description: 'only these exports (names with or without .ndjson)' },
+        },
+        async run(api, opts) {
+            await api.exportAnalystFormats({ formats: opts.format || FORMATS, merge: opts.merge, partitions: opts.partition });
+            return EXIT_OK;
+        },
+    },
+    tiles: {
+        summary: 'Build the vector tile archive exports/tiles/offers.pmtiles from all exports.',
+        options: {},
+        async run(api) {
+            await api.buildTileArchive();
+            return EXIT_OK;
+        },
+    },
+    reextract: {
+        summary: 'Rebuild the offers of every export from the raw response cache (no network).',
+        options: {},
+        async run(api) {
+            await api.reextractExports();
+            return EXIT_OK;
+        },
+    },
+};
+
+function optionLabel(name, spec) {
+    return spec.type === 'flag' ? `--${name}` : `--${name}=${spec.value || 'VALUE'}`;
+}
+
+function formatOptions(options) {
+    const labels = Object.entries(options).map(([name, spec]) => [optionLabel(name, spec), spec]);
+    const width = Math.max(0, ...labels.map(([label]) => label.length)) + 2;
+    return labels.map(([label, spec]) => `  ${label.padEnd(width)}${spec.description}${spec.choices ? ` (${spec.choices.join(', ')})` : ''}`);
+}
+
+function usage() {
+    const width = Math.max(...Object.keys(COMMANDS).map(c => c.length)) + 2;
+    return [
+        'Usage: node cli.js <command> [options]',
+        '',
+        'Commands:',
+        ...Object.entries(COMMANDS).map(([name, cmd]) => `  ${name.padEnd(width)}${cmd.summary}`),
+        '',
+        'Run `node cli.js <command> --help` for the options of a command.',
+    ].join('\n');
+}
+
+function commandHelp(name) {
+    const cmd = COMMANDS[name];
+    const lines = [`Usage: node cli.js ${name} [options]`, '', cmd.summary];
+    if (Object.keys(cmd.options).length) lines.push('', 'Options:', ...formatOptions(cmd.options));
+    lines.push('', 'Global options:', ...formatOptions(GLOBAL_OPTIONS));
+    return lines.join('\n');
+}
+
+function parseValue(name, spec, raw) {
+    switch (spec.type) {
+        case 'int': {
+            const n = Number(raw);
+            if (!Number.isInteger(n) || n <= 0) throw new UsageError(`--${name} expects a positive integer, got "${raw}"`);
+            return n;
+        }
+        case 'list': {
+            const items = raw.split(',').map(x => x.trim()).filter(Boolean);
+            if (!items.length) throw new UsageError(`--${name} expects a comma separated list`);
+            const unknown = spec.choices ? items.filter(x => !spec.choices.includes(x)) : [];
+            if (unknown.length) throw new UsageError(`--${name}: unknown value(s) ${unknown.join(', ')} (expected ${spec.choices.join(', ')})`);
+            return items;
+        }
+        case 'bbox':
+            try {
+                return parseBbox(raw);
+            } catch (e) {
+                throw new UsageError(`--${name}: ${e.message}`);
+            }
+        case 'choice':
+            if (!spec.choices.includes(raw)) throw new UsageError(`--${name}: unknown value "${raw}" (expected ${spec.choices.join(', ')})`);
+            return raw;
+        case 'file':
+            if (!fs.existsSync(raw)) throw new UsageError(`--${name}: file not found "${raw}"`);
+            return raw;
+        case 'url':
+            if (!/^https?:\/\/[^\s/]+/i.test(raw)) throw new UsageError(`--${name} expects an http(s) URL, got "${raw}"`);
+            return raw;
+        default:
+            return raw;
+    }
+}
+
+/** Parse the options of `command`; throws UsageError for anything the command does not accept. */
+function parseOptions(command, args) {
+    const specs = { ...COMMANDS[command].options, ...GLOBAL_OPTIONS };
+    const opts = {};
+    for (const name of Object.keys(specs)) if (specs[name].type === 'flag') opts[name] = false;
+    for (const arg of args) {
+        if (arg === '-h') { opts.help = true; continue; }
+        const m = /^--([a-z][a-z0-9-]*)(?:=(.*))?$/i.exec(arg);
+        if (!m) throw new UsageError(`Unexpected argument "${arg}"`);
+        const [, name, raw] = m;
+        const spec = specs[name];
+        if (!spec) throw new UsageError(`Unknown option --${name} for "${command}"`);
+        if (spec.type === 'flag') {
+            if (raw !== undefined) throw new UsageError(`--${name} does not take a value`);
+            opts[name] = true;
+        } else {
+            if (raw === undefined || raw === '') throw new UsageError(`--${name} requires a value (${optionLabel(name, spec)})`);
+            opts[name] = parseValue(name, spec, raw);
+        }
+    }
+    return opts;
+}
+
+function printStats({ imports, exports: exportsList, review }) {
+    console.log('Imports:');
+    if (!imports.length) console.log('  (none)');
+    for (const i of imports) {
+        console.log(`  ${i.name.padEnd(28)} ${i.features} features: ${i.done} done, ${i.errors} errors, ${i.review} review, ${i.pending} pending`);
+        if (i.filter) console.log(`  ${''.padEnd(28)} filter ${i.filter}: ${i.outsideFilter} outside`);
+        if (i.errorReasons.length) console.log(formatErrorSummary(i.errorReasons, `  ${''.padEnd(28)} `));
+    }
+    console.log('Exports:');
+    if (!exportsList.length) console.log('  (none)');
+    for (const e of exportsList) {
+        const price = e.medianPrice != null ? `, median €${e.medianPrice.toFixed(2)}` : '';
+        console.log(`  ${e.name.padEnd(40)} ${e.addresses} addresses (${e.lines} lines), ${e.offers} offers, fiber ${Math.round(e.fiberShare * 100)}%${price}, ${(e.bytes / 1024).toFixed(1)} KiB`);
+    }
+    const reviewTotal = Object.values(review).reduce((n, c) => n + c, 0);
+    if (reviewTotal) console.log(`Review: ${reviewTotal} records in ${Object.keys(review).length} files (review/)`);
+}
+
+/** Run the CLI for `argv` (without node and script); sets process.exitCode and resolves with it. */
+async function main(argv) {
+    const [command, ...args] = argv;
+    let code;
+    try {
+        if (!command || command === '--help' || command === '-h' || command === 'help') {
+            console.log(usage());
+            code = command ? EXIT_OK : EXIT_USAGE;
+        } else if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+            throw new UsageError(`Unknown command "${command}"`);
+        } else {
+            const opts = parseOptions(command, args);
+            if (opts.help) {
+                console.log(commandHelp(command));
+                code = EXIT_OK;
+            } else {
+                // Loaded after validation so --help and usage errors never touch config or imports
+                code = await COMMANDS[command].run(require('./api'), opts);
+            }
+        }
+    } catch (e) {
+        if (e instanceof UsageError) {
+            console.error(`${e.message}\n`);
+            console.error(COMMANDS[command] ? `See: node ${path.basename(__filename)} ${command} --help` : usage());
+            code = EXIT_USAGE;
+        } else {
+            console.error(e);
+            code = EXIT_FAILURE;
+        }
+    }
+    process.exitCode = code;
+    return code;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = { main, COMMANDS, EXIT_OK, EXIT_FAILURE, EXIT_USAGE, EXIT_INCOMPLETE };
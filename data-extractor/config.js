@@ -0,0 +1,106 @@
+/**
+ * Extractor configuration
+ *
+ * Values are resolved in this order (later wins):
+ *   1. DEFAULTS below
+ *   2. ./extractor.config.json (optional, same shape as DEFAULTS; nested objects are merged one level deep with
+ *      their defaults, so { "addressMatch": {} } keeps minConfidence. `providers` is replaced: it lists the
+ *      enabled adapters)
+ *   3. Environment variables (TET_GATEWAY_URL)
+ *   4. CLI flags (--gateway=<url>)
+ *
+ * The resolved object is cached; call loadConfig({ reload: true }) to re-read.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = path.resolve(__dirname, 'extractor.config.json');
+
+const DEFAULTS = {
+    // Base URL of the Tet gateway (no trailing slash). Point at mock-gateway.js for offline runs.
+    // providers.tet.baseUrl in the config file takes precedence; TET_GATEWAY_URL and --gateway override both.
+    gatewayUrl: 'https://gateway.tet.lv/api',
+    // Enabled provider adapters (providers/) and their options: { "<id>": { baseUrl, rateLimit } }
+    providers: { tet: {} },
+    // Request scheduler overrides (see DEFAULT_OPTIONS in scheduler.js)
+    rateLimit: {},
+    // Search hits scoring below minConfidence go to review/ instead of exports/ (see address-match.js)
+    addressMatch: { minConfidence: 0.9 },
+    // VZD address register CSV (AW_EKA.CSV) for official address spelling and codes, relative to this folder;
+    // without ref / locality tags the unique register address within maxDistanceMeters is used (see address-register.js)
+    addressRegister: { file: 'register/AW_EKA.CSV', maxDistanceMeters: 150 },
+    // Fallback search queries tried in this order when an address has no search hits; [] = none (see address-variants.js)
+    addressVariants: ['dropDistrict', 'dropSubdistrict', 'officialStreetType', 'stripHouseSuffix', 'transliterate'],
+    // Store every raw available-services payload under ./cache (needed for --reextract)
+    rawCache: true,
+    // Test every vertex when a feature's representative point is in no boundary area (see boundaries.js)
+    boundaryVertexFallback: true,
+    // pointer.json outlines: "concave" (alpha shape, alphaMeters / perArea overrides) or "convex" (see outline.js)
+    outline: { mode: 'concave', alphaMeters: 400, perArea: {} },
+    // Export record geometry: Douglas-Peucker tolerance (0 = off), coordinate decimals, point only (see export-geometry.js)
+    exportGeometry: { simplifyToleranceMeters: 0, precision: null, pointOnly: false },
+    // Vector tiles (--tiles): address points from addressMinZoom to maxZoom, grid aggregates below (see tiles.js)
+    tiles: { maxZoom: 14, addressMinZoom: 12, cellsPerTile: 16 },
+    // Without a terminal, print the scrape progress line every N seconds (0 = only at the end of a pass, see progress.js)
+    progressIntervalSeconds: 30,
+    // Journal entries appended before progress is compacted back into the import GeoJSON
+    journalCompactEvery: 1000,
+};
+
+let cached = null;
+
+function readConfigFile() {
+    if (!fs.existsSync(CONFIG_FILE)) return {};
+    try {
+        const data = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+        return data && typeof data === 'object' ? data : {};
+    } catch (e) {
+        throw new Error(`Invalid ${path.basename(CONFIG_FILE)}: ${e.message}`);
+    }
+}
+
+// Lists rather than settings: a value from the config file replaces the default entirely
+const REPLACED_KEYS = new Set(['providers']);
+
+function isPlainObject(v) {
+    return v != null && typeof v === 'object' && !Array.isArray(v);
+}
+
+/** DEFAULTS with the config file on top, nested objects merged one level deep. */
+function mergeWithDefaults(file) {
+    const cfg = { ...DEFAULTS, ...file };
+    for (const [key, value] of Object.entries(file)) {
+        if (!REPLACED_KEYS.has(key) && isPlainObject(DEFAULTS[key]) && isPlainObject(value)) {
+            cfg[key] = { ...DEFAULTS[key], ...value };
+        }
+    }
+    return cfg;
+}
+
+function getArgValue(name) {
+    const prefix = `--${name}=`;
+    const arg = process.argv.find(a => a.startsWith(prefix));
+    return arg ? arg.slice(prefix.length) : null;
+}
+
+function trimSlash(url) {
+    return String(url).replace(/\/+$/, '');
+}
+
+function loadConfig({ reload = false } = {}) {
+    if (cached && !reload) return cached;
+    const cfg = mergeWithDefaults(readConfigFile());
+    const hasTet = isPlainObject(cfg.providers) && 'tet' in cfg.providers;
+    if (hasTet && cfg.providers.tet?.baseUrl) cfg.gatewayUrl = cfg.providers.tet.baseUrl;
+    if (process.env.TET_GATEWAY_URL) cfg.gatewayUrl = process.env.TET_GATEWAY_URL;
+    const gatewayArg = getArgValue('gateway');
+    if (gatewayArg) cfg.gatewayUrl = gatewayArg;
+    cfg.gatewayUrl = trimSlash(cfg.gatewayUrl);
+    // One resolved gateway: the Tet adapter reads its baseUrl, so the env / CLI override reaches it too
+    if (hasTet) cfg.providers = { ...cfg.providers, tet: { ...cfg.providers.tet, baseUrl: cfg.gatewayUrl } };
+    cached = cfg;
+    return cfg;
+}
+
+module.exports = { loadConfig, getArgValue, DEFAULTS };
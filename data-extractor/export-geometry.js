@@ -0,0 +1,187 @@
+/**
+ * Geometry preparation for export records (the browser downloads every vertex).
+ *
+ * Config (extractor.config.json), all off by default:
+ *   "exportGeometry": { "simplifyToleranceMeters": 1, "precision": 6, "pointOnly": false }
+ *
+ *   simplifyToleranceMeters  Douglas-Peucker per line / ring (tolerance in meters, local projection).
+ *                            Topology-preserving: a ring keeps >= 4 positions and a simplified ring that
+ *                            would self-intersect or cross another ring of the polygon is kept as is.
+ *   precision                decimals kept per coordinate (6 ~ 0.1 m); consecutive duplicates are dropped.
+ *   pointOnly                replace the geometry with one representative point (see boundaries.js).
+ *
+ * prepareExportGeometry also counts vertices and serialized bytes before / after for the run report.
+ */
+
+const { loadConfig } = require('./config');
+const { getPointFromGeometry } = require('./boundaries');
+
+const METERS_PER_DEG_LAT = 110540;
+const METERS_PER_DEG_LON = 111320;
+
+const totals = { records: 0, bytesBefore: 0, bytesAfter: 0, verticesBefore: 0, verticesAfter: 0, ringsKept: 0 };
+
+function exportGeometryOptions() {
+    const cfg = loadConfig().exportGeometry || {};
+    return {
+        toleranceMeters: Number(cfg.simplifyToleranceMeters) || 0,
+        precision: Number.isInteger(cfg.precision) ? cfg.precision : null,
+        pointOnly: cfg.pointOnly === true,
+    };
+}
+
+function countVertices(geometry) {
+    if (!geometry) return 0;
+    if (geometry.type === 'GeometryCollection') return (geometry.geometries || []).reduce((s, g) => s + countVertices(g), 0);
+    const walk = (c) => (Array.isArray(c) && typeof c[0] === 'number' ? 1 : Array.isArray(c) ? c.reduce((s, x) => s + walk(x), 0) : 0);
+    return walk(geometry.coordinates);
+}
+
+function perpendicularDistance(p, a, b, kx) {
+    const px = p[0] * kx, py = p[1] * METERS_PER_DEG_LAT;
+    const ax = a[0] * kx, ay = a[1] * METERS_PER_DEG_LAT;
+    const bx = b[0] * kx, by = b[1] * METERS_PER_DEG_LAT;
+    const dx = bx - ax, dy = by - ay;
+    const len2 = dx * dx + dy * dy;
+    if (len2 === 0) return Math.hypot(px - ax, py - ay);
+    const t = Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / len2));
+    return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
+
+/** Iterative Douglas-Peucker over an open line; keeps first and last point. */
+function douglasPeucker(points, toleranceMeters, kx) {
+    if (points.length <= 2) return points.slice();
+    const keep = new Uint8Array(points.length);
+    keep[0] = keep[points.length - 1] = 1;
+    const stack = [[0, points.length - 1]];
+    while (stack.length) {
+        const [first, last] = stack.pop();
+        let maxDist = 0, index = -1;
+        for (let i = first + 1; i < last; i++) {
+            const d = perpendicularDistance(points[i], points[first], points[last], kx);
+            if (d > maxDist) { maxDist = d; index = i; }
+        }
+        if (index !== -1 && maxDist > toleranceMeters) {
+            keep[index] = 1;
+            stack.push([first, index], [index, last]);
+        }
+    }
+    return points.filter((_, i) => keep[i]);
+}
+
+function segmentsCross(p1, p2, p3, p4) {
+    const d = (a, b, c) => (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+    const d1 = d(p3, p4, p1), d2 = d(p3, p4, p2), d3 = d(p1, p2, p3), d4 = d(p1, p2, p4);
+    return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+}
+
+/** True when any two non-adjacent segments of the closed rings cross. */
+function ringsIntersect(rings) {
+    const segs = [];
+    rings.forEach((ring, r) => { for (let i = 0; i < ring.length - 1; i++) segs.push([ring[i], ring[i + 1], r, i, ring.length - 1]); });
+    for (let i = 0; i < segs.length; i++) {
+        for (let j = i + 1; j < segs.length; j++) {
+            const [a1, a2, ra, ia, na] = segs[i];
+            const [b1, b2, rb, ib] = segs[j];
+            if (ra === rb && (Math.abs(ia - ib) <= 1 || (ia === 0 && ib === na - 1))) continue; // adjacent
+            if (segmentsCross(a1, a2, b1, b2)) return true;
+        }
+    }
+    return false;
+}
+
+function simplifyRing(ring, toleranceMeters, kx) {
+    if (ring.length <= 4) return ring;
+    // Split the closed ring at its farthest vertex from the start so both halves are open lines
+    let far = 1, farDist = -1;
+    for (let i = 1; i < ring.length - 1; i++) {
+        const d = Math.hypot((ring[i][0] - ring[0][0]) * kx, (ring[i][1] - ring[0][1]) * METERS_PER_DEG_LAT);
+        if (d > farDist) { farDist = d; far = i; }
+    }
+    const a = douglasPeucker(ring.slice(0, far + 1), toleranceMeters, kx);
+    const b = douglasPeucker(ring.slice(far), toleranceMeters, kx);
+    const out = a.concat(b.slice(1));
+    return out.length >= 4 ? out : ring;
+}
+
+function simplifyPolygon(rings, toleranceMeters, kx) {
+    const simplified = rings.map(r => simplifyRing(r, toleranceMeters, kx));
+    if (!ringsIntersect(simplified)) return simplified;
+    totals.ringsKept += rings.length;
+    return rings;
+}
+
+function mapCoords(geometry, fn) {
+    const c = geometry.coordinates;
+    switch (geometry.type) {
+        case 'Point': return { ...geometry, coordinates: fn.point(c) };
+        case 'MultiPoint': return { ...geometry, coordinates: c.map(fn.point) };
+        case 'LineString': return { ...geometry, coordinates: fn.line(c) };
+        case 'MultiLineString': return { ...geometry, coordinates: c.map(fn.line) };
+        case 'Polygon': return { ...geometry, coordinates: fn.polygon(c) };
+        case 'MultiPolygon': return { ...geometry, coordinates: c.map(fn.polygon) };
+        case 'GeometryCollection': return { ...geometry, geometries: (geometry.geometries || []).map(g => mapCoords(g, fn)) };
+        default: return geometry;
+    }
+}
+
+function roundPosition(p, factor) {
+    return [Math.round(p[0] * factor) / factor, Math.round(p[1] * factor) / factor];
+}
+
+function dropRepeats(points) {
+    return points.filter((p, i) => i === 0 || p[0] !== points[i - 1][0] || p[1] !== points[i - 1][1]);
+}
+
+function simplifyGeometry(geometry, toleranceMeters) {
+    const anchor = getPointFromGeometry(geometry);
+    const kx = METERS_PER_DEG_LON * Math.cos(((anchor && anchor[1]) || 57) * Math.PI / 180);
+    return mapCoords(geometry, {
+        point: (p) => p,
+        line: (line) => douglasPeucker(line, toleranceMeters, kx),
+        polygon: (rings) => simplifyPolygon(rings, toleranceMeters, kx),
+    });
+}
+
+function quantizeGeometry(geometry, precision) {
+    const factor = 10 ** precision;
+    return mapCoords(geometry, {
+        point: (p) => roundPosition(p, factor),
+        line: (line) => {
+            const out = dropRepeats(line.map(p => roundPosition(p, factor)));
+            return out.length >= 2 ? out : line.slice(0, 2).map(p => roundPosition(p, factor));
+        },
+        polygon: (rings) => {
+            const out = rings.map(r => dropRepeats(r.map(p => roundPosition(p, factor))));
+            return out.every(r => r.length >= 4) && !ringsIntersect(out) ? out : rings.map(r => r.map(p => roundPosition(p, factor)));
+        },
+    });
+}
+
+/** Geometry to write into an export record (input is left untouched). */
+function prepareExportGeometry(geometry) {
+    if (!geometry || !geometry.type) return geometry;
+    const { toleranceMeters, precision, pointOnly } = exportGeometryOptions();
+    let out = geometry;
+    if (pointOnly) {
+        const p = getPointFromGeometry(geometry);
+        if (p) out = { type: 'Point', coordinates: [p[0], p[1]] };
+    } else if (toleranceMeters > 0) {
+        out = simplifyGeometry(out, toleranceMeters);
+    }
+    if (precision != null) out = quantizeGeometry(out, precision);
+    totals.records++;
+    totals.bytesBefore += JSON.stringify(geometry).length;
+    totals.bytesAfter += JSON.stringify(out).length;
+    totals.verticesBefore += countVertices(geometry);
+    totals.verticesAfter += countVertices(out);
+    return out;
+}
+
+/** Totals for the run report: options plus before / after bytes and vertices of exported geometries. */
+function exportGeometryStats() {
+    const saved = totals.bytesBefore ? Math.round((1 - totals.bytesAfter / totals.bytesBefore) * 1000) / 10 : 0;
+    return { options: exportGeometryOptions(), ...totals, savedPct: saved };
+}
+
+module.exports = { prepareExportGeometry, exportGeometryStats, simplifyGeometry, quantizeGeometry, countVertices };
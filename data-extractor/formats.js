@@ -0,0 +1,198 @@
+/**
+ * Analyst exports built from ./exports/*.ndjson into ./exports/formats/.
+ *
+ *   csv      one row per offer: id, provider, address, lat, lon, connection type, title, speed, price,
+ *            promotion, contract … (UTF-8 with BOM so spreadsheets keep Latvian characters)
+ *   geojson  FeatureCollection, one feature per address with flat offer summary columns + offers array
+ *   fgb      FlatGeobuf (EPSG:4326) with the same columns, offers as a JSON column (QGIS, ogr2ogr)
+ *
+ * Only the latest record per provider + id of every export is used (like pointer.json). Files are named
+ * after the partition (centrs_riga_lv.csv …) or `all.<ext>` when merged.
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { getPointFromGeometry } = require('./boundaries');
+const { normalizeConnectionType } = require('./area-stats');
+const { writeFileAtomic } = require('./journal');
+
+const FORMATS = ['csv', 'geojson', 'fgb'];
+
+const CSV_COLUMNS = [
+    'id', 'provider', 'partition', 'address', 'lat', 'lon', 'connection_type', 'connection_type_raw', 'title',
+    'speed_min_mbit', 'speed_max_mbit', 'speed_up_to_mbit', 'price_eur_month', 'currency', 'promotion',
+    'promotion_code', 'contract_months', 'terms', 'scraped_at',
+];
+
+// FlatGeobuf columns and the value written for a missing one. geojson.serialize types every column after
+// the first feature (string, number -> Double, boolean, object -> Json), so no feature may hold null there
+const FEATURE_COLUMNS = [
+    ['id', ''], ['provider', ''], ['partition', ''], ['address', ''], ['address_key', ''], ['scraped_at', ''],
+    ['connection_types', ''], ['fiber', false], ['offer_count', 0], ['min_price_eur', NaN],
+    ['min_promo_price_eur', NaN], ['max_speed_mbit', NaN], ['offers', []],
+];
+
+async function readLatestRecords(fullPath) {
+    const latest = new Map();
+    for (const line of (await fsp.readFile(fullPath, 'utf8')).split('\n')) {
+        const t = line.trim();
+        if (!t) continue;
+        try {
+            const r = JSON.parse(t);
+            if (!r || !r.id) continue;
+            const key = `${r.provider || 'tet'}|${r.id}`;
+            const cur = latest.get(key);
+            if (!cur || (r.scrapedAt || '') >= (cur.scrapedAt || '')) latest.set(key, r);
+        } catch { /* ignore malformed */ }
+    }
+    return Array.from(latest.values()).filter(r => Array.isArray(r.offers) && r.offers.length);
+}
+
+function csvCell(v) {
+    if (v == null) return '';
+    const s = typeof v === 'object' ? JSON.stringify(v) : String(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvRows(record, partition) {
+    const pt = getPointFromGeometry(record.geometry) || [];
+    return record.offers.map(o => {
+        const speed = o.speed || {};
+        const row = {
+            id: record.id,
+            provider: record.provider || 'tet',
+            partition,
+            address: record.address,
+            lat: pt[1],
+            lon: pt[0],
+            connection_type: normalizeConnectionType(o.connectionType),
+            connection_type_raw: o.connectionType,
+            title: o.originalTitle,
+            speed_min_mbit: speed.minMbit,
+            speed_max_mbit: speed.maxMbit,
+            speed_up_to_mbit: speed.upToMbit,
+            price_eur_month: o.pricePerMonthEur,
+            currency: o.currency,
+            promotion: o.promotion ? 'yes' : 'no',
+            promotion_code: o.promotionCode,
+            contract_months: o.contractTermMonths,
+            terms: Array.isArray(o.terms) ? o.terms.join('; ') : o.terms,
+            scraped_at: record.scrapedAt,
+        };
+        return CSV_COLUMNS.map(c => csvCell(row[c])).join(',');
+    });
+}
+
+function minOf(values) {
+    const nums = values.filter(v => typeof v === 'number' && isFinite(v));
+    return nums.length ? Math.min(...nums) : null;
+}
+
+function toFeature(record, partition) {
+    const offers = record.offers;
+    const types = Array.from(new Set(offers.map(o => normalizeConnectionType(o.connectionType)))).sort();
+    const speeds = offers.flatMap(o => [o.speed?.maxMbit, o.speed?.upToMbit, o.speed?.minMbit]).filter(v => typeof v === 'number');
+    return {
+        type: 'Feature',
+        geometry: record.geometry,
+        properties: {
+            id: record.id,
+            provider: record.provider || 'tet',
+            partition,
+            address: record.address || null,
+            address_key: record.addressKey != null ? String(record.addressKey) : null,
+            scraped_at: record.scrapedAt || null,
+            connection_types: types.join(','),
+            fiber: types.includes('fiber'),
+            offer_count: offers.length,
+            min_price_eur: minOf(offers.filter(o => !o.promotion).map(o => o.pricePerMonthEur)),
+            min_promo_price_eur: minOf(offers.filter(o => o.promotion).map(o => o.pricePerMonthEur)),
+            max_speed_mbit: speeds.length ? Math.max(...speeds) : null,
+            offers,
+        },
+    };
+}
+
+/** Properties with every FEATURE_COLUMNS key, in order, of that column's type (missing -> its placeholder). */
+function flatGeobufProperties(properties) {
+    const out = {};
+    for (const [name, missing] of FEATURE_COLUMNS) {
+        const value = properties[name];
+        if (value == null) out[name] = missing;
+        else if (typeof missing === 'number') out[name] = Number(value);
+        else if (typeof missing === 'string') out[name] = String(value);
+        else out[name] = value;
+    }
+    return out;
+}
+
+/** FlatGeobuf bytes (EPSG:4326) for GeoJSON features with FEATURE_COLUMNS properties (flatgeobuf is ESM-only). */
+async function serializeFlatGeobuf(features) {
+    const { geojson } = await import('flatgeobuf');
+    const collection = {
+        type: 'FeatureCollection',
+        features: features.map(f => ({ ...f, properties: flatGeobufProperties(f.properties) })),
+    };
+    return Buffer.from(geojson.serialize(collection, 4326));
+}
+
+async function writeOutputs(outDir, baseName, parts, formats) {
+    const written = [];
+    if (formats.includes('csv')) {
+        const lines = [CSV_COLUMNS.join(',')];
+        for (const { partition, records } of parts) for (const r of records) lines.push(...csvRows(r, partition));
+        const file = path.join(outDir, `${baseName}.csv`);
+        await writeFileAtomic(file, '\uFEFF' + lines.join('\r\n') + '\r\n');
+        written.push(file);
+    }
+    const features = (formats.includes('geojson') || formats.includes('fgb'))
+        ? parts.flatMap(({ partition, records }) => records.filter(r => r.geometry && r.geometry.type).map(r => toFeature(r, partition)))
+        : [];
+    if (formats.includes('geojson')) {
+        const file = path.join(outDir, `${baseName}.geojson`);
+        await writeFileAtomic(file, JSON.stringify({ type: 'FeatureCollection', features }));
+        written.push(file);
+    }
+    if (formats.includes('fgb') && features.length) {
+        const file = path.join(outDir, `${baseName}.fgb`);
+        const tmp = `${file}.tmp`;
+        await fsp.writeFile(tmp, await serializeFlatGeobuf(features));
+        await fsp.rename(tmp, file);
+        written.push(file);
+    }
+    return written;
+}
+
+/**
+ * Convert exports to analyst formats. `formats` ⊆ FORMATS, `merge` writes one all.<ext> set,
+ * `partitions` limits the exports used (names with or without .ndjson). Resolves with
+ * { outDir, files, records, offers }.
+ */
+async function exportFormats(exportsDir, { formats = FORMATS, merge = false, partitions = null } = {}) {
+    const unknown = formats.filter(f => !FORMATS.includes(f));
+    if (unknown.length) throw new Error(`Unknown export format(s): ${unknown.join(', ')} (expected ${FORMATS.join(', ')})`);
+    const outDir = path.join(exportsDir, 'formats');
+    await fsp.mkdir(outDir, { recursive: true });
+    const wanted = partitions && partitions.length ? new Set(partitions.map(p => p.replace(/\.ndjson$/i, ''))) : null;
+    const names = (fs.existsSync(exportsDir) ? await fsp.readdir(exportsDir) : [])
+        .filter(f => f.toLowerCase().endsWith('.ndjson'))
+        .filter(f => !wanted || wanted.has(f.replace(/\.ndjson$/i, '')))
+        .sort();
+    const parts = [];
+    for (const name of names) {
+        const records = await readLatestRecords(path.join(exportsDir, name));
+        if (records.length) parts.push({ partition: name.replace(/\.ndjson$/i, ''), records });
+    }
+    const files = [];
+    if (merge) {
+        if (parts.length) files.push(...await writeOutputs(outDir, 'all', parts, formats));
+    } else {
+        for (const part of parts) files.push(...await writeOutputs(outDir, part.partition, [part], formats));
+    }
+    const records = parts.reduce((s, p) => s + p.records.length, 0);
+    const offers = parts.reduce((s, p) => s + p.records.reduce((t, r) => t + r.offers.length, 0), 0);
+    return { outDir, files, records, offers };
+}
+
+module.exports = { exportFormats, readLatestRecords, FORMATS, CSV_COLUMNS };
@@ -0,0 +1,117 @@
+/**
+ * Spatial filter per import: only features whose representative point (see boundaries.js) lies inside a
+ * bbox and / or clip polygon are scraped. Features outside are skipped entirely: not scraped, not
+ * marked in progress / errors, not counted as pending.
+ *
+ * Sidecar next to the import, renamed together with it (parish.geojson + parish.filter.json ->
+ * _<hash>.geojson + _<hash>.filter.json; an OSM extract's sidecar moves to its converted GeoJSON):
+ *     { "bbox": [24.30, 56.90, 24.60, 57.10] }                          // minLon, minLat, maxLon, maxLat
+ *     { "clip": "garkalne.geojson" }                                    // path relative to imports/
+ *     { "clip": "parishes.geojson", "clipWhere": { "name": "Garkalnes pagasts" } }
+ *     { "clip": { "type": "Polygon", "coordinates": [ … ] } }          // inline geometry / Feature
+ * With both bbox and clip a feature has to be inside both. CLI `--bbox=…` / `--clip=<file>` (cli.js)
+ * replace the sidecar of every import for that run.
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { getPointFromGeometry, pointInFeature } = require('./boundaries');
+
+function filterPathFor(importPath) {
+    return importPath.replace(/\.(geojson|osm\.pbf|osm)$/i, '') + '.filter.json';
+}
+
+/** Move an import's filter sidecar along with it. */
+async function moveFilterSidecar(fromImport, toImport) {
+    const from = filterPathFor(fromImport);
+    const to = filterPathFor(toImport);
+    if (from === to || !fs.existsSync(from)) return;
+    if (fs.existsSync(to)) {
+        console.warn(`Filter ${path.basename(to)} already exists; ${path.basename(from)} left in place.`);
+        return;
+    }
+    await fsp.rename(from, to);
+    console.log(`Renamed ${path.basename(from)} -> ${path.basename(to)}`);
+}
+
+/** [minLon, minLat, maxLon, maxLat] from an array or "a,b,c,d"; throws on malformed or empty boxes. */
+function parseBbox(value) {
+    const nums = (Array.isArray(value) ? value : String(value).split(',')).map(v => (v === '' || v == null ? NaN : Number(v)));
+    if (nums.length !== 4 || nums.some(n => !isFinite(n))) throw new Error(`bbox expects minLon,minLat,maxLon,maxLat, got "${value}"`);
+    const [minLon, minLat, maxLon, maxLat] = nums;
+    if (minLon >= maxLon || minLat >= maxLat || minLon < -180 || maxLon > 180 || minLat < -90 || maxLat > 90) {
+        throw new Error(`bbox ${nums.join(',')} is empty or out of range (expected minLon,minLat,maxLon,maxLat)`);
+    }
+    return nums;
+}
+
+function polygonFeatures(data) {
+    if (!data || typeof data !== 'object') return [];
+    if (data.type === 'FeatureCollection') return (data.features || []).flatMap(polygonFeatures);
+    if (data.type === 'Feature') return data.geometry && /^(Multi)?Polygon$/.test(data.geometry.type) ? [data] : [];
+    if (data.type === 'Polygon' || data.type === 'MultiPolygon') return [{ type: 'Feature', properties: {}, geometry: data }];
+    return [];
+}
+
+/** Clip polygons from a GeoJSON file path (relative to baseDir) or inline GeoJSON, optionally selected by properties. */
+async function readClipPolygons(clip, baseDir, where) {
+    let data = clip;
+    let label = 'inline polygon';
+    if (typeof clip === 'string') {
+        const file = path.resolve(baseDir, clip);
+        data = JSON.parse(await fsp.readFile(file, 'utf8'));
+        label = path.relative(process.cwd(), file) || file;
+    }
+    let features = polygonFeatures(data);
+    if (where && typeof where === 'object') {
+        features = features.filter(f => Object.entries(where).every(([k, v]) => f.properties && String(f.properties[k]) === String(v)));
+        label += ` where ${Object.entries(where).map(([k, v]) => `${k}=${v}`).join(', ')}`;
+    }
+    if (!features.length) throw new Error(`clip ${label} contains no matching (Multi)Polygon`);
+    return { features, label };
+}
+
+/**
+ * Build a filter from { bbox, clip, clipWhere }. Resolves with null when neither is set, otherwise
+ * { source, description, contains(feature) }.
+ */
+async function createImportFilter(spec, baseDir, source) {
+    const bbox = spec.bbox != null ? parseBbox(spec.bbox) : null;
+    const clip = spec.clip != null ? await readClipPolygons(spec.clip, baseDir, spec.clipWhere) : null;
+    if (!bbox && !clip) return null;
+    const parts = [];
+    if (bbox) parts.push(`bbox ${bbox.join(',')}`);
+    if (clip) parts.push(`clip ${clip.label} (${clip.features.length} polygon${clip.features.length === 1 ? '' : 's'})`);
+    return {
+        source,
+        description: parts.join(' + '),
+        contains(feature) {
+            const pt = getPointFromGeometry(feature && feature.geometry);
+            if (!pt || typeof pt[0] !== 'number' || typeof pt[1] !== 'number') return false;
+            const [lon, lat] = pt;
+            if (bbox && (lon < bbox[0] || lat < bbox[1] || lon > bbox[2] || lat > bbox[3])) return false;
+            return !clip || clip.features.some(f => pointInFeature(pt, f));
+        },
+    };
+}
+
+/**
+ * Filter of one import: the CLI override ({ bbox, clip } from cli.js) when given, otherwise the
+ * import's sidecar. Resolves with null when the import is not filtered; a malformed sidecar throws.
+ */
+async function loadImportFilter(importPath, override = {}) {
+    if (override && (override.bbox != null || override.clip != null)) {
+        return createImportFilter(override, process.cwd(), 'cli');
+    }
+    const sidecar = filterPathFor(importPath);
+    if (!fs.existsSync(sidecar)) return null;
+    try {
+        const spec = JSON.parse(await fsp.readFile(sidecar, 'utf8'));
+        return await createImportFilter(spec || {}, path.dirname(sidecar), path.basename(sidecar));
+    } catch (e) {
+        throw new Error(`Invalid filter ${path.basename(sidecar)}: ${e.message}`);
+    }
+}
+
+module.exports = { loadImportFilter, createImportFilter, parseBbox, filterPathFor, moveFilterSidecar };
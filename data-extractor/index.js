@@ -1161,25 +1161,6 @@ async function cleanupErrorFile() {
   }
 }
 
-if (require.main === module) {
-  // Check for --validate parameter
-  const args = process.argv.slice(2);
-  const isValidateMode = args.includes('--validate');
-  
-  if (isValidateMode) {
-    console.log('Running in validation mode - cleaning up error file');
-    cleanupErrorFile().catch((e) => {
-      console.error(e);
-      process.exitCode = 1;
-    });
-  } else {
-    run().catch((e) => {
-      console.error(e);
-      process.exitCode = 1;
-    });
-  }
-}
-
 // Export functions for external use
 module.exports = {
   run,
@@ -1188,3 +1169,9 @@ module.exports = {
   cleanupErrorFile
 };
 
+if (require.main === module) {
+  // Old entry point: `node index.js [--validate]` is `node cli.js scrape|retry --engine=puppeteer`
+  const args = process.argv.slice(2);
+  const command = args.includes('--validate') ? 'retry' : 'scrape';
+  require('./cli').main([command, '--engine=puppeteer', ...args.filter(a => a !== '--validate')]);
+}
@@ -0,0 +1,180 @@
+/**
+ * Append-only progress journal for import GeoJSON files.
+ *
+ * Instead of rewriting the whole `_<hash>.geojson` after every feature, state changes are appended as
+ * single JSON lines to `_<hash>.journal.ndjson` next to it:
+ *     {"op":"progress","id":"way/1"}     // feature scraped (or already present in its export)
+ *     {"op":"error","id":"way/2","reason":"throttled","status":429,"permanent":false,"attempts":1,"at":"…"}
+ *                                        // feature failed (details: scrape-errors.js)
+ *     {"op":"recovered","id":"way/2"}    // failed feature later succeeded (removed from errors)
+ *     {"op":"review","id":"way/3"}       // low-confidence address match parked for manual review
+ *     {"op":"resolved","id":"way/3"}     // parked feature later matched confidently (removed from review)
+ *
+ * On open the journal is replayed on top of the `progress` / `errors` / `review` arrays embedded in the GeoJSON
+ * (`errors` holds one object per failed id with its reason and attempt count; bare ids of older imports are
+ * read as unknown, transient errors).
+ * Every `compactEvery` entries (and on close) the arrays are written back into the GeoJSON via a temp
+ * file + rename and the journal is truncated. Replay is idempotent, so a crash at any point (including
+ * a torn last line or a crash between rename and truncate) loses at most the entry being written.
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const { normalizeErrorEntry } = require('./scrape-errors');
+
+const DEFAULT_COMPACT_EVERY = 1000;
+
+function journalPathFor(geojsonPath) {
+    return geojsonPath.replace(/\.geojson$/i, '') + '.journal.ndjson';
+}
+
+async function writeFileAtomic(fullPath, text) {
+    const tmp = `${fullPath}.tmp`;
+    const handle = await fsp.open(tmp, 'w');
+    try {
+        await handle.writeFile(text, 'utf8');
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    await fsp.rename(tmp, fullPath);
+}
+
+/**
+ * Sets over the geojson arrays (errorMap: id -> errors entry) and an `apply(entry)` that updates both
+ * (shared by replay and live writes).
+ */
+function progressState(geojson) {
+    geojson.errors = geojson.errors.map(normalizeErrorEntry);
+    const progressSet = new Set(geojson.progress);
+    const errorMap = new Map(geojson.errors.map(e => [e.id, e]));
+    const reviewSet = new Set(geojson.review || []);
+    if (!Array.isArray(geojson.review)) geojson.review = [];
+
+    function removeError(id) {
+        if (!errorMap.has(id)) return;
+        errorMap.delete(id);
+        geojson.errors = geojson.errors.filter(e => e.id !== id);
+    }
+
+    function removeReview(id) {
+        if (!reviewSet.has(id)) return;
+        reviewSet.delete(id);
+        geojson.review = geojson.review.filter(r => r !== id);
+    }
+
+    function apply(entry) {
+        if (!entry || !entry.id) return;
+        const { id } = entry;
+        if (entry.op === 'progress' || entry.op === 'recovered' || entry.op === 'resolved') {
+            if (!progressSet.has(id)) { progressSet.add(id); geojson.progress.push(id); }
+            if (entry.op === 'recovered') removeError(id);
+            if (entry.op === 'resolved') removeReview(id);
+        } else if (entry.op === 'error') {
+            const prev = errorMap.get(id);
+            const details = normalizeErrorEntry(id);
+            for (const k of ['reason', 'status', 'permanent', 'message', 'provider']) if (entry[k] !== undefined) details[k] = entry[k];
+            // The entry carries its attempt number, so replaying it twice does not count twice
+            details.attempts = Math.max(entry.attempts || 1, prev ? prev.attempts : 0);
+            details.lastAttemptAt = entry.at || null;
+            if (prev) Object.assign(prev, details);
+            else { errorMap.set(id, details); geojson.errors.push(details); }
+        } else if (entry.op === 'review') {
+            if (!reviewSet.has(id)) { reviewSet.add(id); geojson.review.push(id); }
+            removeError(id);
+        }
+    }
+
+    return { progressSet, errorMap, reviewSet, apply };
+}
+
+/** Replay leftovers from a previous (possibly crashed) run; resolves with the number of entries applied. */
+async function replayJournal(journalPath, apply) {
+    let replayed = 0;
+    if (fs.existsSync(journalPath)) {
+        const text = await fsp.readFile(journalPath, 'utf8');
+        for (const line of text.split('\n')) {
+            const t = line.trim();
+            if (!t) continue;
+            try { apply(JSON.parse(t)); replayed++; } catch { /* torn write from a crash */ }
+        }
+    }
+    return replayed;
+}
+
+/**
+ * Progress of an import without opening the journal for writing (nothing is compacted or created):
+ * resolves with { progressSet, errorMap, reviewSet, replayed } (used by --dry-run and stats).
+ */
+async function readProgressState(filePath, geojson) {
+    const { progressSet, errorMap, reviewSet, apply } = progressState(geojson);
+    const replayed = await replayJournal(journalPathFor(filePath), apply);
+    return { progressSet, errorMap, reviewSet, replayed };
+}
+
+/**
+ * Open the progress store for an import file. `geojson` is the parsed FeatureCollection
+ * (with `progress` / `errors` arrays already ensured by the caller).
+ */
+async function openProgressJournal(filePath, geojson, { compactEvery = DEFAULT_COMPACT_EVERY } = {}) {
+    const journalPath = journalPathFor(filePath);
+    const { progressSet, errorMap, reviewSet, apply } = progressState(geojson);
+    const replayed = await replayJournal(journalPath, apply);
+
+    let handle = await fsp.open(journalPath, 'a');
+    let pending = 0;
+    let chain = Promise.resolve();
+
+    // All file operations are serialized through one promise chain
+    function enqueue(fn) {
+        chain = chain.then(fn, fn);
+        return chain;
+    }
+
+    async function compactNow() {
+        await writeFileAtomic(filePath, JSON.stringify(geojson, null, 2));
+        await handle.truncate(0);
+        pending = 0;
+    }
+
+    function record(entry) {
+        apply(entry);
+        return enqueue(async () => {
+            await handle.appendFile(JSON.stringify(entry) + '\n', 'utf8');
+            if (++pending >= compactEvery) await compactNow();
+        });
+    }
+
+    if (replayed) await enqueue(compactNow);
+
+    return {
+        geojson,
+        progressSet,
+        errorMap,
+        reviewSet,
+        replayed,
+        markProgress: (id) => progressSet.has(id) ? chain : record({ op: 'progress', id }),
+        /** Record a failed attempt; `details` is { reason, status, permanent, message, provider } (scrape-errors.js). */
+        markError: (id, details = {}) => record({
+            op: 'error',
+            id,
+            ...details,
+            attempts: (errorMap.has(id) ? errorMap.get(id).attempts : 0) + 1,
+            at: new Date().toISOString(),
+        }),
+        markRecovered: (id) => record({ op: 'recovered', id }),
+        markReview: (id) => record({ op: 'review', id }),
+        markReviewResolved: (id) => record({ op: 'resolved', id }),
+        compact: () => enqueue(compactNow),
+        async close() {
+            await enqueue(async () => {
+                if (pending) await compactNow();
+                await handle.close();
+                handle = null;
+            });
+            if (fs.existsSync(journalPath) && (await fsp.stat(journalPath)).size === 0) await fsp.unlink(journalPath);
+        },
+    };
+}
+
+module.exports = { openProgressJournal, readProgressState, journalPathFor, writeFileAtomic };
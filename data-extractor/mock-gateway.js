@@ -0,0 +1,124 @@
+/**
+ * Local mock of the Tet gateway for offline scraping runs.
+ *
+ * Serves the two endpoints used by api.js from recorded JSON fixtures:
+ *   GET /api/addresses/search/<query>                 -> fixtures/gateway/addresses/<query-key>.json
+ *   GET /api/sac/available-services?addressKey=<key>  -> fixtures/gateway/services/<key>.json
+ *
+ * <query-key> is the search query lowercased, diacritics removed, non-alphanumerics -> "_"
+ * (e.g. "Brīvības iela 1, Rīga" -> brivibas_iela_1_riga). Unknown queries answer { data: [] }
+ * (a normal "no hits" response); unknown address keys answer 404. An optional _default.json in
+ * either folder is served instead when no specific fixture exists.
+ *
+ * Recording: `--record --upstream=https://gateway.tet.lv/api` proxies every request to the real
+ * gateway and stores the response as a fixture (existing fixtures are served, not re-fetched).
+ *
+ * Usage:
+ *   npm run mock-gateway                       # listens on http://localhost:8787/api
+ *   TET_GATEWAY_URL=http://localhost:8787/api npm run api
+ *
+ * CLI / env: --port=N (MOCK_GATEWAY_PORT), --fixtures=<dir>, --record, --upstream=<url>
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const http = require('http');
+const axios = require('axios');
+const { getArgValue } = require('./config');
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_FIXTURES_DIR = path.resolve(__dirname, 'fixtures', 'gateway');
+
+function fixtureKey(text) {
+    return (text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '')
+        || 'empty';
+}
+
+async function readFixture(dir, key) {
+    for (const name of [`${key}.json`, '_default.json']) {
+        const full = path.join(dir, name);
+        if (fs.existsSync(full)) return JSON.parse(await fsp.readFile(full, 'utf8'));
+    }
+    return null;
+}
+
+async function writeFixture(dir, key, data) {
+    await fsp.mkdir(dir, { recursive: true });
+    await fsp.writeFile(path.join(dir, `${key}.json`), JSON.stringify(data, null, 2), 'utf8');
+}
+
+function sendJson(res, status, body) {
+    const out = JSON.stringify(body);
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(out) });
+    res.end(out);
+}
+
+/**
+ * Resolve a gateway request to { dir, key, upstreamPath, empty } or null if the route is unknown.
+ * `empty` is the response used when no fixture exists.
+ */
+function routeRequest(url, fixturesDir) {
+    const search = url.pathname.match(/^\/api\/addresses\/search\/(.+)$/);
+    if (search) {
+        const query = decodeURIComponent(search[1]);
+        return {
+            dir: path.join(fixturesDir, 'addresses'),
+            key: fixtureKey(query),
+            upstreamPath: `/addresses/search/${search[1]}`,
+            empty: { status: 200, body: { data: [] } },
+        };
+    }
+    if (url.pathname === '/api/sac/available-services') {
+        const addressKey = url.searchParams.get('addressKey');
+        if (!addressKey) return null;
+        return {
+            dir: path.join(fixturesDir, 'services'),
+            key: fixtureKey(addressKey),
+            upstreamPath: `/sac/available-services?addressKey=${encodeURIComponent(addressKey)}`,
+            empty: { status: 404, body: { error: 'unknown addressKey' } },
+        };
+    }
+    return null;
+}
+
+function createMockGateway({ fixturesDir = DEFAULT_FIXTURES_DIR, record = false, upstream = null } = {}) {
+    if (record && !upstream) throw new Error('--record requires --upstream=<gateway base url>');
+    return http.createServer(async (req, res) => {
+        try {
+            const url = new URL(req.url, 'http://localhost');
+            const route = req.method === 'GET' ? routeRequest(url, fixturesDir) : null;
+            if (!route) return sendJson(res, 404, { error: 'not found' });
+            const fixture = await readFixture(route.dir, route.key);
+            if (fixture) return sendJson(res, 200, fixture);
+            if (record) {
+                const { data } = await axios.get(upstream.replace(/\/+$/, '') + route.upstreamPath, { timeout: 25000 });
+                await writeFixture(route.dir, route.key, data);
+                console.log(`recorded ${path.relative(fixturesDir, route.dir)}/${route.key}.json`);
+                return sendJson(res, 200, data);
+            }
+            return sendJson(res, route.empty.status, route.empty.body);
+        } catch (e) {
+            const status = e.response?.status || 500;
+            sendJson(res, status, { error: e.message });
+        }
+    });
+}
+
+if (require.main === module) {
+    const port = Number(getArgValue('port') || process.env.MOCK_GATEWAY_PORT) || DEFAULT_PORT;
+    const fixturesDir = getArgValue('fixtures') ? path.resolve(getArgValue('fixtures')) : DEFAULT_FIXTURES_DIR;
+    const record = process.argv.includes('--record');
+    const upstream = getArgValue('upstream');
+    const server = createMockGateway({ fixturesDir, record, upstream });
+    server.listen(port, () => {
+        console.log(`Mock gateway listening on http://localhost:${port}/api (fixtures: ${fixturesDir}${record ? `, recording from ${upstream}` : ''})`);
+    });
+}
+
+module.exports = { createMockGateway, fixtureKey };
@@ -0,0 +1,217 @@
+/**
+ * Raw OSM extracts as imports: `.osm` (XML) and `.osm.pbf` files in imports/ (e.g. Geofabrik's
+ * latvia-latest.osm.pbf) are converted into the same GeoJSON an Overpass Turbo export gives, so a
+ * whole-country run starts from one downloaded file.
+ *
+ *   latvia-latest.osm.pbf -> _<hash>.geojson       (hash: shake256 6 bytes of the extract, like api.js)
+ *                         -> _<hash>.osm.pbf       (source kept, marks the extract as converted)
+ *
+ * Address elements are nodes, ways and relations with addr:housenumber or a house name (addr:housename, or
+ * name + addr:place), the same as the recommended Overpass query. Features look like osmtogeojson's: id / properties['@id'] "node/1", the OSM tags as properties;
+ * nodes become Points, closed ways Polygons, open ways LineStrings and multipolygon / building relations
+ * (Multi)Polygons assembled from their member ways. Elements with missing member ways or nodes (cut at
+ * the extract border) are skipped and counted.
+ *
+ * The extract is streamed three times (osm-reader.js) so only the address elements and the coordinates
+ * of the nodes they use are held in memory:
+ *   1. address nodes (written straight away), address ways and relations
+ *   2. node lists of the relations' member ways (skipped when there are no address relations)
+ *   3. coordinates of every node those ways reference
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const { once } = require('events');
+const path = require('path');
+const { createHash } = require('crypto');
+const { readOsmFile } = require('./osm-reader');
+const { assemblePolygons } = require('./outline');
+const { moveFilterSidecar } = require('./import-filter');
+
+const OSM_EXTENSION = /\.osm(\.pbf)?$/i;
+const AREA_RELATION_TYPES = new Set(['multipolygon', 'building']);
+
+function isOsmExtract(name) {
+    return OSM_EXTENSION.test(name);
+}
+
+/** House number, house name, or a named building in a place without streets ("Kalnieši", addr:place). */
+function isAddressElement(tags) {
+    return Boolean(tags['addr:housenumber'] || tags['addr:housename'] || (tags.name && tags['addr:place']));
+}
+
+async function hashFile(fullPath) {
+    const hash = createHash('shake256', { outputLength: 6 });
+    for await (const chunk of fs.createReadStream(fullPath)) hash.update(chunk);
+    return hash.digest('hex');
+}
+
+function toFeature(type, id, tags, geometry) {
+    const osmId = `${type}/${id}`;
+    return { type: 'Feature', id: osmId, properties: { '@id': osmId, ...tags }, geometry };
+}
+
+/** Join node id lists end to end into closed rings; null when a chain does not close. */
+function joinRings(wayRefs) {
+    const open = wayRefs.filter(refs => refs.length >= 2).map(refs => refs.slice());
+    const rings = [];
+    while (open.length) {
+        const ring = open.pop();
+        while (ring[0] !== ring[ring.length - 1]) {
+            const last = ring[ring.length - 1];
+            const i = open.findIndex(refs => refs[0] === last || refs[refs.length - 1] === last);
+            if (i === -1) return null;
+            const [next] = open.splice(i, 1);
+            if (next[0] !== last) next.reverse();
+            for (let k = 1; k < next.length; k++) ring.push(next[k]);
+        }
+        if (ring.length >= 4) rings.push(ring);
+    }
+    return rings;
+}
+
+function wayGeometry(refs, coords) {
+    const line = refs.map(ref => coords.get(ref));
+    if (line.length < 2 || line.some(c => !c)) return null;
+    const closed = refs.length >= 4 && refs[0] === refs[refs.length - 1];
+    return closed ? { type: 'Polygon', coordinates: [line] } : { type: 'LineString', coordinates: line };
+}
+
+function relationGeometry(relation, memberWays, coords) {
+    if (!AREA_RELATION_TYPES.has(relation.tags.type)) return null;
+    const refLists = [];
+    for (const m of relation.members) {
+        if (m.type !== 'way' || !['outer', 'inner', ''].includes(m.role)) continue;
+        const refs = memberWays.get(m.ref);
+        if (!refs) return null;
+        refLists.push(refs);
+    }
+    const rings = joinRings(refLists);
+    if (!rings || !rings.length) return null;
+    const lines = rings.map(ring => ring.map(ref => coords.get(ref)));
+    if (lines.some(line => line.some(c => !c))) return null;
+    // Inner / outer is decided by containment (roles are often missing or wrong), like outline.js
+    const polygons = assemblePolygons(lines);
+    return polygons.length === 1
+        ? { type: 'Polygon', coordinates: polygons[0] }
+        : { type: 'MultiPolygon', coordinates: polygons };
+}
+
+/** Convert one extract into a GeoJSON FeatureCollection at `target` (written via a temp file + rename). */
+async function convertOsmFile(source, target) {
+    const started = Date.now();
+    const tmp = `${target}.tmp`;
+    const out = fs.createWriteStream(tmp, 'utf8');
+    let written = 0;
+    // false when the stream buffer is full (await 'drain'); the visitors of pass 1 cannot wait
+    const write = (feature) => out.write(`${written++ ? ',\n' : ''}${JSON.stringify(feature)}`);
+    const stats = { nodes: 0, ways: 0, relations: 0, skipped: 0 };
+    const ways = [];
+    const relations = [];
+    const memberWays = new Map();
+    out.write('{"type":"FeatureCollection","features":[\n');
+
+    // 1. Address elements
+    await readOsmFile(source, {
+        node(n) {
+            if (!isAddressElement(n.tags)) return;
+            stats.nodes++;
+            write(toFeature('node', n.id, n.tags, { type: 'Point', coordinates: [n.lon, n.lat] }));
+        },
+        way(w) {
+            if (isAddressElement(w.tags)) ways.push(w);
+        },
+        relation(r) {
+            if (!isAddressElement(r.tags)) return;
+            relations.push(r);
+            for (const m of r.members) if (m.type === 'way') memberWays.set(m.ref, null);
+        },
+    });
+    console.log(`  pass 1: ${stats.nodes} address nodes, ${ways.length} address ways, ${relations.length} address relations`);
+
+    // 2. Member ways of address relations
+    if (memberWays.size) {
+        await readOsmFile(source, {
+            way(w) {
+                if (memberWays.has(w.id)) memberWays.set(w.id, w.refs);
+            },
+        });
+        for (const [id, refs] of memberWays) if (!refs) memberWays.delete(id);
+        console.log(`  pass 2: ${memberWays.size} relation member ways`);
+    }
+
+    // 3. Node coordinates
+    const coords = new Map();
+    for (const w of ways) for (const ref of w.refs) coords.set(ref, null);
+    for (const refs of memberWays.values()) for (const ref of refs) coords.set(ref, null);
+    if (coords.size) {
+        await readOsmFile(source, {
+            node(n) {
+                if (coords.has(n.id)) coords.set(n.id, [n.lon, n.lat]);
+            },
+        });
+        console.log(`  pass 3: ${coords.size} node coordinates`);
+    }
+
+    for (const w of ways) {
+        const geometry = wayGeometry(w.refs, coords);
+        if (!geometry) { stats.skipped++; continue; }
+        stats.ways++;
+        if (!write(toFeature('way', w.id, w.tags, geometry))) await once(out, 'drain');
+    }
+    for (const r of relations) {
+        const geometry = relationGeometry(r, memberWays, coords);
+        if (!geometry) { stats.skipped++; continue; }
+        stats.relations++;
+        if (!write(toFeature('relation', r.id, r.tags, geometry))) await once(out, 'drain');
+    }
+    out.end('\n]}\n');
+    await once(out, 'finish');
+    await fsp.rename(tmp, target);
+    stats.features = written;
+    stats.seconds = Math.round((Date.now() - started) / 100) / 10;
+    return stats;
+}
+
+/**
+ * Convert every not yet converted OSM extract in importsDir to `_<hash>.geojson` and rename the extract
+ * (and its filter sidecar) after it. An extract whose GeoJSON already exists is only renamed, or deleted
+ * when the converted copy is already there. Resolves with the GeoJSON paths written in this run.
+ */
+async function convertOsmImports(importsDir) {
+    const names = (fs.existsSync(importsDir) ? await fsp.readdir(importsDir) : []).filter(isOsmExtract).sort();
+    const converted = [];
+    for (const name of names) {
+        const full = path.join(importsDir, name);
+        if (!(await fsp.stat(full)).isFile()) continue;
+        const ext = OSM_EXTENSION.exec(name)[0].toLowerCase();
+        const hashed = /^_[0-9a-f]{12}\./i.test(name);
+        const h = hashed ? name.slice(1, 13).toLowerCase() : await hashFile(full);
+        const target = path.join(importsDir, `_${h}.geojson`);
+        if (!fs.existsSync(target)) {
+            console.log(`Converting ${name} -> _${h}.geojson`);
+            const stats = await convertOsmFile(full, target);
+            console.log(`  ${stats.features} features (${stats.nodes} nodes, ${stats.ways} ways, ${stats.relations} relations), ${stats.skipped} skipped with incomplete geometry, ${stats.seconds}s`);
+            converted.push(target);
+        }
+        if (hashed) continue;
+        const renamed = path.join(importsDir, `_${h}${ext}`);
+        if (!fs.existsSync(renamed)) {
+            await fsp.rename(full, renamed);
+            console.log(`Renamed ${name} -> _${h}${ext}`);
+        } else {
+            console.log(`Duplicate content ${name} matches existing _${h}${ext}, removing duplicate file.`);
+            await fsp.unlink(full);
+        }
+        await moveFilterSidecar(full, target);
+    }
+    return converted;
+}
+
+/** Extracts in importsDir that have no GeoJSON yet (for dry runs, which must not convert). */
+async function pendingOsmImports(importsDir) {
+    const names = (fs.existsSync(importsDir) ? await fsp.readdir(importsDir) : []).filter(isOsmExtract).sort();
+    return names.filter(name => !/^_[0-9a-f]{12}\./i.test(name) || !fs.existsSync(path.join(importsDir, `${name.slice(0, 13)}.geojson`)));
+}
+
+module.exports = { convertOsmImports, convertOsmFile, pendingOsmImports, isAddressElement, isOsmExtract };
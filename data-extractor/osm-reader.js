@@ -0,0 +1,292 @@
+/**
+ * Streaming reader for OSM extracts: `.osm` (XML, via sax) and `.osm.pbf`
+ * (https://wiki.openstreetmap.org/wiki/PBF_Format, zlib or raw blobs, dense and plain nodes).
+ *
+ *   await readOsmFile(file, {
+ *       node(n)      { … },   // { id, lat, lon, tags }
+ *       way(w)       { … },   // { id, tags, refs: [nodeId, …] }
+ *       relation(r)  { … },   // { id, tags, members: [{ type: 'node' | 'way' | 'relation', ref, role }] }
+ *   });
+ *
+ * Only the element types with a handler are decoded (PBF skips the other groups). Ids are Numbers
+ * (exact up to 2^53), coordinates are rounded to 7 decimals like the OSM database. Tag-less elements
+ * share one frozen empty `tags` object.
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const zlib = require('zlib');
+const sax = require('sax');
+
+const EMPTY_TAGS = Object.freeze({});
+const MEMBER_TYPES = ['node', 'way', 'relation'];
+
+function round7(v) {
+    return Math.round(v * 1e7) / 1e7;
+}
+
+// ---- Protocol buffers (only what the OSM PBF messages use) ----
+
+class ProtoReader {
+    constructor(buf, pos = 0, end = buf.length) {
+        this.buf = buf;
+        this.pos = pos;
+        this.end = end;
+    }
+
+    varint() {
+        const buf = this.buf;
+        let result = 0, shift = 0, b;
+        do {
+            b = buf[this.pos++];
+            // Bitwise ops only below 2^28, multiplication above (keeps 64-bit values exact up to 2^53)
+            if (shift < 28) result |= (b & 0x7f) << shift;
+            else result += (b & 0x7f) * 2 ** shift;
+            shift += 7;
+        } while (b & 0x80);
+        return result >= 2 ** 63 ? result - 2 ** 64 : result;
+    }
+
+    svarint() {
+        const n = this.varint();
+        return n % 2 === 1 ? -(n + 1) / 2 : n / 2;
+    }
+
+    bytes() {
+        const len = this.varint();
+        const start = this.pos;
+        this.pos += len;
+        return this.buf.subarray(start, this.pos);
+    }
+
+    /** Reader over the next length-delimited field. */
+    sub() {
+        const len = this.varint();
+        const r = new ProtoReader(this.buf, this.pos, this.pos + len);
+        this.pos += len;
+        return r;
+    }
+
+    /** Packed (or single, wire type 0) repeated varints. */
+    packed(wire, signed = false) {
+        const read = signed ? () => this.svarint() : () => this.varint();
+        if (wire === 0) return [read()];
+        const len = this.varint();
+        const end = this.pos + len;
+        const out = [];
+        while (this.pos < end) out.push(read());
+        return out;
+    }
+
+    skip(wire) {
+        if (wire === 0) this.varint();
+        else if (wire === 1) this.pos += 8;
+        else if (wire === 2) {
+            const len = this.varint(); // read before `this.pos +=` picks up the old position
+            this.pos += len;
+        }
+        else if (wire === 5) this.pos += 4;
+        else throw new Error(`Unsupported protobuf wire type ${wire}`);
+    }
+
+    /** Call fn(field, wire) for every field; fn returns false for fields it did not consume. */
+    fields(fn) {
+        while (this.pos < this.end) {
+            const key = this.varint();
+            const field = Math.floor(key / 8);
+            const wire = key & 7;
+            if (fn(field, wire) === false) this.skip(wire);
+        }
+    }
+}
+
+function decodeTags(keys, vals, strings) {
+    if (!keys.length) return EMPTY_TAGS;
+    const tags = {};
+    for (let i = 0; i < keys.length; i++) tags[strings[keys[i]]] = strings[vals[i]];
+    return tags;
+}
+
+function readDenseNodes(r, block, visit) {
+    let ids = [], lats = [], lons = [], keysVals = [];
+    r.fields((field, wire) => {
+        if (field === 1) ids = r.packed(wire, true);
+        else if (field === 8) lats = r.packed(wire, true);
+        else if (field === 9) lons = r.packed(wire, true);
+        else if (field === 10) keysVals = r.packed(wire);
+        else return false;
+    });
+    let id = 0, lat = 0, lon = 0, kv = 0;
+    for (let i = 0; i < ids.length; i++) {
+        id += ids[i];
+        lat += lats[i];
+        lon += lons[i];
+        let tags = EMPTY_TAGS;
+        if (keysVals.length) {
+            while (kv < keysVals.length && keysVals[kv] !== 0) {
+                if (tags === EMPTY_TAGS) tags = {};
+                tags[block.strings[keysVals[kv]]] = block.strings[keysVals[kv + 1]];
+                kv += 2;
+            }
+            kv++; // 0 delimiter
+        }
+        visit({ id, lat: block.lat(lat), lon: block.lon(lon), tags });
+    }
+}
+
+function readNode(r, block, visit) {
+    let id = 0, lat = 0, lon = 0, keys = [], vals = [];
+    r.fields((field, wire) => {
+        if (field === 1) id = r.svarint();
+        else if (field === 2) keys = r.packed(wire);
+        else if (field === 3) vals = r.packed(wire);
+        else if (field === 8) lat = r.svarint();
+        else if (field === 9) lon = r.svarint();
+        else return false;
+    });
+    visit({ id, lat: block.lat(lat), lon: block.lon(lon), tags: decodeTags(keys, vals, block.strings) });
+}
+
+function readWay(r, block, visit) {
+    let id = 0, keys = [], vals = [], deltas = [];
+    r.fields((field, wire) => {
+        if (field === 1) id = r.varint();
+        else if (field === 2) keys = r.packed(wire);
+        else if (field === 3) vals = r.packed(wire);
+        else if (field === 8) deltas = r.packed(wire, true);
+        else return false;
+    });
+    const refs = new Array(deltas.length);
+    let ref = 0;
+    for (let i = 0; i < deltas.length; i++) refs[i] = ref += deltas[i];
+    visit({ id, tags: decodeTags(keys, vals, block.strings), refs });
+}
+
+function readRelation(r, block, visit) {
+    let id = 0, keys = [], vals = [], roles = [], deltas = [], types = [];
+    r.fields((field, wire) => {
+        if (field === 1) id = r.varint();
+        else if (field === 2) keys = r.packed(wire);
+        else if (field === 3) vals = r.packed(wire);
+        else if (field === 8) roles = r.packed(wire);
+        else if (field === 9) deltas = r.packed(wire, true);
+        else if (field === 10) types = r.packed(wire);
+        else return false;
+    });
+    const members = new Array(deltas.length);
+    let ref = 0;
+    for (let i = 0; i < deltas.length; i++) {
+        ref += deltas[i];
+        members[i] = { type: MEMBER_TYPES[types[i]] || 'node', ref, role: block.strings[roles[i]] || '' };
+    }
+    visit({ id, tags: decodeTags(keys, vals, block.strings), members });
+}
+
+function readPrimitiveBlock(data, visitor) {
+    const r = new ProtoReader(data);
+    const strings = [];
+    const groups = [];
+    let granularity = 100, latOffset = 0, lonOffset = 0;
+    r.fields((field, wire) => {
+        if (field === 1) {
+            const st = r.sub();
+            st.fields((f) => { if (f !== 1) return false; strings.push(st.bytes().toString('utf8')); });
+        } else if (field === 2) groups.push(r.sub()); // decoded below: granularity / offsets follow the groups
+        else if (field === 17) granularity = r.varint();
+        else if (field === 19) latOffset = r.varint();
+        else if (field === 20) lonOffset = r.varint();
+        else return false;
+    });
+    const block = {
+        strings,
+        lat: (v) => round7((latOffset + granularity * v) * 1e-9),
+        lon: (v) => round7((lonOffset + granularity * v) * 1e-9),
+    };
+    for (const g of groups) {
+        g.fields((field) => {
+            if (field === 1 && visitor.node) readNode(g.sub(), block, visitor.node);
+            else if (field === 2 && visitor.node) readDenseNodes(g.sub(), block, visitor.node);
+            else if (field === 3 && visitor.way) readWay(g.sub(), block, visitor.way);
+            else if (field === 4 && visitor.relation) readRelation(g.sub(), block, visitor.relation);
+            else return false;
+        });
+    }
+}
+
+function blobData(buf) {
+    const r = new ProtoReader(buf);
+    let raw = null, zlibData = null, other = null;
+    r.fields((field) => {
+        if (field === 1) raw = r.bytes();
+        else if (field === 3) zlibData = r.bytes();
+        else {
+            if (field !== 2) other = field; // lzma / lz4 / zstd
+            return false;
+        }
+    });
+    if (raw) return raw;
+    if (zlibData) return zlib.inflateSync(zlibData);
+    throw new Error(`Unsupported PBF blob compression (field ${other}); re-encode the extract with zlib`);
+}
+
+async function readPbf(file, visitor) {
+    const handle = await fsp.open(file, 'r');
+    try {
+        const { size } = await handle.stat();
+        let pos = 0;
+        const lenBuf = Buffer.alloc(4);
+        while (pos < size) {
+            await handle.read(lenBuf, 0, 4, pos);
+            const headerLen = lenBuf.readUInt32BE(0);
+            const header = Buffer.alloc(headerLen);
+            await handle.read(header, 0, headerLen, pos + 4);
+            let type = '', dataSize = 0;
+            const hr = new ProtoReader(header);
+            hr.fields((field) => {
+                if (field === 1) type = hr.bytes().toString('utf8');
+                else if (field === 3) dataSize = hr.varint();
+                else return false;
+            });
+            const blob = Buffer.alloc(dataSize);
+            await handle.read(blob, 0, dataSize, pos + 4 + headerLen);
+            pos += 4 + headerLen + dataSize;
+            if (type === 'OSMData') readPrimitiveBlock(blobData(blob), visitor);
+        }
+    } finally {
+        await handle.close();
+    }
+}
+
+function readXml(file, visitor) {
+    return new Promise((resolve, reject) => {
+        const parser = sax.createStream(true, { trim: true });
+        let current = null;
+        parser.on('opentag', ({ name, attributes: a }) => {
+            if (name === 'node') current = { kind: 'node', el: { id: Number(a.id), lat: round7(Number(a.lat)), lon: round7(Number(a.lon)), tags: EMPTY_TAGS } };
+            else if (name === 'way') current = { kind: 'way', el: { id: Number(a.id), tags: EMPTY_TAGS, refs: [] } };
+            else if (name === 'relation') current = { kind: 'relation', el: { id: Number(a.id), tags: EMPTY_TAGS, members: [] } };
+            else if (!current) return;
+            else if (name === 'tag') {
+                if (current.el.tags === EMPTY_TAGS) current.el.tags = {};
+                current.el.tags[a.k] = a.v;
+            } else if (name === 'nd') current.el.refs.push(Number(a.ref));
+            else if (name === 'member') current.el.members.push({ type: a.type, ref: Number(a.ref), role: a.role || '' });
+        });
+        parser.on('closetag', (name) => {
+            if (!current || name !== current.kind) return;
+            if (visitor[current.kind]) visitor[current.kind](current.el);
+            current = null;
+        });
+        parser.on('error', reject);
+        parser.on('end', resolve);
+        fs.createReadStream(file).on('error', reject).pipe(parser);
+    });
+}
+
+/** Stream every element of an .osm or .osm.pbf file to the visitor's node / way / relation handlers. */
+async function readOsmFile(file, visitor) {
+    if (/\.pbf$/i.test(file)) return readPbf(file, visitor);
+    return readXml(file, visitor);
+}
+
+module.exports = { readOsmFile };
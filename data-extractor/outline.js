@@ -0,0 +1,174 @@
+/**
+ * Partition outlines for pointer.json.
+ *
+ *   convex   monotone chain convex hull of all points (one Polygon).
+ *   concave  alpha shape: Delaunay triangulation (delaunator) of the points, keeping only triangles whose
+ *            circumradius is at most `alphaMeters`; the boundary of what is left becomes the outline.
+ *            Disjoint clusters give a MultiPolygon, empty inner areas become holes. Falls back to the
+ *            convex hull when no triangle survives (too few / too sparse points).
+ *
+ * Config (extractor.config.json):
+ *   "outline": { "mode": "concave", "alphaMeters": 400, "perArea": { "centrs_riga_lv": 250 } }
+ * `perArea` keys are export names without .ndjson. A smaller alpha hugs the points tighter but splits
+ * sparse areas into more pieces.
+ */
+
+const { loadConfig } = require('./config');
+
+const DEFAULT_ALPHA_METERS = 400;
+const METERS_PER_DEG_LAT = 110540;
+const METERS_PER_DEG_LON = 111320;
+
+let Delaunator = null; // ESM-only package, loaded on first use
+
+function dedupe(points) {
+    const keySet = new Set();
+    const uniq = [];
+    for (const p of points || []) {
+        if (!Array.isArray(p) || typeof p[0] !== 'number' || typeof p[1] !== 'number') continue;
+        const k = p[0].toFixed(6) + ',' + p[1].toFixed(6);
+        if (!keySet.has(k)) { keySet.add(k); uniq.push(p); }
+    }
+    return uniq;
+}
+
+function convexHull(points) {
+    const uniq = dedupe(points);
+    if (uniq.length < 3) return null;
+    // Monotonic chain convex hull (lon = x, lat = y)
+    uniq.sort((a,b)=> a[0]===b[0] ? a[1]-b[1] : a[0]-b[0]);
+    const cross = (o,a,b)=> (a[0]-o[0])*(b[1]-o[1]) - (a[1]-o[1])*(b[0]-o[0]);
+    const lower=[]; for (const p of uniq){ while(lower.length>=2 && cross(lower[lower.length-2], lower[lower.length-1], p)<=0) lower.pop(); lower.push(p);}
+    const upper=[]; for (let i=uniq.length-1;i>=0;i--){ const p=uniq[i]; while(upper.length>=2 && cross(upper[upper.length-2], upper[upper.length-1], p)<=0) upper.pop(); upper.push(p);}
+    const hull = lower.slice(0, -1).concat(upper.slice(0, -1));
+    if (hull.length < 3) return null;
+    // Close ring
+    const ring = hull.concat([hull[0]]);
+    return { type: 'Polygon', coordinates: [ ring ] };
+}
+
+function signedArea(ring) {
+    let a = 0;
+    for (let i = 0; i < ring.length - 1; i++) a += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+    return a / 2;
+}
+
+function pointInRing(point, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if (((yi > point[1]) !== (yj > point[1])) && (point[0] < (xj - xi) * (point[1] - yi) / (yj - yi) + xi)) inside = !inside;
+    }
+    return inside;
+}
+
+/** Walk boundary half-edges (start -> end vertex ids) into closed rings of vertex ids. */
+function chainRings(edges) {
+    const next = new Map();
+    for (const [a, b] of edges) {
+        if (!next.has(a)) next.set(a, []);
+        next.get(a).push(b);
+    }
+    const rings = [];
+    for (const start of next.keys()) {
+        while (next.get(start).length) {
+            const ring = [start];
+            let cur = next.get(start).pop();
+            while (cur !== start) {
+                ring.push(cur);
+                const outs = next.get(cur);
+                if (!outs || !outs.length) break; // open chain (should not happen)
+                cur = outs.pop();
+            }
+            if (cur === start && ring.length >= 3) rings.push(ring);
+        }
+    }
+    return rings;
+}
+
+/** Group rings into polygons: a ring inside a larger outer ring becomes its hole. */
+function assemblePolygons(rings) {
+    const sorted = rings
+        .map(ring => ({ ring, area: Math.abs(signedArea(ring)) }))
+        .sort((a, b) => b.area - a.area);
+    const polygons = [];
+    for (const { ring } of sorted) {
+        const probe = ring[0];
+        const owner = polygons.find(p => pointInRing(probe, p[0]) && !p.slice(1).some(h => pointInRing(probe, h)));
+        const ccw = signedArea(ring) > 0;
+        if (owner) {
+            owner.push(ccw ? ring.slice().reverse() : ring); // holes clockwise
+        } else {
+            polygons.push([ccw ? ring : ring.slice().reverse()]); // outer rings counter-clockwise
+        }
+    }
+    return polygons;
+}
+
+async function alphaShape(points, alphaMeters) {
+    const uniq = dedupe(points);
+    if (uniq.length < 3) return null;
+    if (!Delaunator) Delaunator = (await import('delaunator')).default;
+    // Local equirectangular projection so alpha is in meters
+    const lat0 = uniq.reduce((s, p) => s + p[1], 0) / uniq.length;
+    const kx = METERS_PER_DEG_LON * Math.cos(lat0 * Math.PI / 180);
+    const flat = new Float64Array(uniq.length * 2);
+    uniq.forEach((p, i) => { flat[2 * i] = p[0] * kx; flat[2 * i + 1] = p[1] * METERS_PER_DEG_LAT; });
+    const d = new Delaunator(flat);
+    const { triangles, halfedges } = d;
+    const keep = new Uint8Array(triangles.length / 3);
+    for (let t = 0; t < keep.length; t++) {
+        const [a, b, c] = [triangles[3 * t], triangles[3 * t + 1], triangles[3 * t + 2]];
+        const ab = Math.hypot(flat[2 * a] - flat[2 * b], flat[2 * a + 1] - flat[2 * b + 1]);
+        const bc = Math.hypot(flat[2 * b] - flat[2 * c], flat[2 * b + 1] - flat[2 * c + 1]);
+        const ca = Math.hypot(flat[2 * c] - flat[2 * a], flat[2 * c + 1] - flat[2 * a + 1]);
+        const area2 = Math.abs((flat[2 * b] - flat[2 * a]) * (flat[2 * c + 1] - flat[2 * a + 1]) - (flat[2 * b + 1] - flat[2 * a + 1]) * (flat[2 * c] - flat[2 * a]));
+        if (area2 === 0) continue;
+        const circumradius = (ab * bc * ca) / (2 * area2);
+        if (circumradius <= alphaMeters) keep[t] = 1;
+    }
+    // Boundary = half-edges of kept triangles whose twin is missing or belongs to a dropped triangle
+    const edges = [];
+    for (let e = 0; e < triangles.length; e++) {
+        const t = Math.floor(e / 3);
+        if (!keep[t]) continue;
+        const twin = halfedges[e];
+        if (twin !== -1 && keep[Math.floor(twin / 3)]) continue;
+        edges.push([triangles[e], triangles[e % 3 === 2 ? e - 2 : e + 1]]);
+    }
+    if (!edges.length) return null;
+    const rings = chainRings(edges).map(ids => {
+        const ring = ids.map(i => uniq[i]);
+        ring.push(ring[0]);
+        return ring;
+    });
+    const polygons = assemblePolygons(rings);
+    if (!polygons.length) return null;
+    return polygons.length === 1
+        ? { type: 'Polygon', coordinates: polygons[0] }
+        : { type: 'MultiPolygon', coordinates: polygons };
+}
+
+/** Outline options for a partition (export name with or without .ndjson). */
+function outlineOptionsFor(name) {
+    const cfg = loadConfig().outline || {};
+    const area = String(name || '').replace(/\.ndjson$/i, '');
+    const perArea = cfg.perArea && cfg.perArea[area];
+    return {
+        mode: cfg.mode || 'concave',
+        alphaMeters: Number(perArea) || Number(cfg.alphaMeters) || DEFAULT_ALPHA_METERS,
+    };
+}
+
+/** Outline geometry (Polygon / MultiPolygon) for the points of one partition, or null. */
+async function buildOutline(points, name) {
+    const { mode, alphaMeters } = outlineOptionsFor(name);
+    if (mode === 'concave') {
+        const shape = await alphaShape(points, alphaMeters);
+        if (shape) return shape;
+    }
+    return convexHull(points);
+}
+
+module.exports = { buildOutline, alphaShape, convexHull, assemblePolygons, outlineOptionsFor, DEFAULT_ALPHA_METERS };
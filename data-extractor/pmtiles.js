@@ -0,0 +1,172 @@
+/**
+ * Minimal PMTiles v3 writer (https://github.com/protomaps/PMTiles/blob/main/spec/v3/spec.md).
+ *
+ * Layout: 127 byte header | root directory | metadata (JSON) | leaf directories | tile data.
+ * Directories and metadata are gzip compressed; tile payloads are written as given (pass gzipped MVT
+ * with tileCompression 'gzip'). Tiles are ordered by Hilbert tile id, identical payloads are stored
+ * once and consecutive ids with the same payload become one run-length entry. When the root directory
+ * does not fit into the first 16 KiB it is split into leaf directories.
+ */
+
+const fsp = require('fs/promises');
+const zlib = require('zlib');
+const { createHash } = require('crypto');
+
+const HEADER_LENGTH = 127;
+const ROOT_MAX_BYTES = 16384 - HEADER_LENGTH;
+const COMPRESSION = { none: 1, gzip: 2 };
+const TILE_TYPE = { mvt: 1, png: 2, jpeg: 3, webp: 4 };
+
+/** Hilbert curve tile id: all tiles of lower zooms first, then the position along the curve. */
+function zxyToTileId(z, x, y) {
+    let acc = 0;
+    for (let t = 0; t < z; t++) acc += 4 ** t;
+    let tx = x, ty = y, d = 0;
+    for (let s = 2 ** (z - 1); s >= 1; s /= 2) {
+        const rx = (tx & s) ? 1 : 0;
+        const ry = (ty & s) ? 1 : 0;
+        d += s * s * ((3 * rx) ^ ry);
+        if (ry === 0) {
+            if (rx === 1) { tx = s - 1 - tx; ty = s - 1 - ty; }
+            [tx, ty] = [ty, tx];
+        }
+    }
+    return acc + d;
+}
+
+function writeVarint(out, n) {
+    // Numbers up to 2^53: no bitwise ops on the full value
+    while (n >= 0x80) {
+        out.push((n % 0x80) | 0x80);
+        n = Math.floor(n / 0x80);
+    }
+    out.push(n);
+}
+
+function serializeDirectory(entries) {
+    const out = [];
+    writeVarint(out, entries.length);
+    let last = 0;
+    for (const e of entries) { writeVarint(out, e.tileId - last); last = e.tileId; }
+    for (const e of entries) writeVarint(out, e.runLength);
+    for (const e of entries) writeVarint(out, e.length);
+    entries.forEach((e, i) => {
+        const prev = entries[i - 1];
+        writeVarint(out, i > 0 && e.offset === prev.offset + prev.length ? 0 : e.offset + 1);
+    });
+    return zlib.gzipSync(Buffer.from(out));
+}
+
+function buildDirectories(entries) {
+    const root = serializeDirectory(entries);
+    if (root.length <= ROOT_MAX_BYTES) return { root, leaves: Buffer.alloc(0) };
+    for (let leafSize = 4096; ; leafSize *= 2) {
+        const rootEntries = [];
+        const leaves = [];
+        let offset = 0;
+        for (let i = 0; i < entries.length; i += leafSize) {
+            const leaf = serializeDirectory(entries.slice(i, i + leafSize));
+            rootEntries.push({ tileId: entries[i].tileId, offset, length: leaf.length, runLength: 0 });
+            leaves.push(leaf);
+            offset += leaf.length;
+        }
+        const rootDir = serializeDirectory(rootEntries);
+        if (rootDir.length <= ROOT_MAX_BYTES) return { root: rootDir, leaves: Buffer.concat(leaves) };
+    }
+}
+
+function writeUint64(buf, value, offset) {
+    buf.writeBigUInt64LE(BigInt(value), offset);
+}
+
+function e7(v) {
+    return Math.round(v * 1e7);
+}
+
+/**
+ * Write a PMTiles archive.
+ *   tiles     [{ z, x, y, data: Buffer }]
+ *   metadata  JSON object (vector_layers, name, …)
+ *   options   { tileType: 'mvt', tileCompression: 'gzip', bounds: [minLon, minLat, maxLon, maxLat], center: [lon, lat, zoom] }
+ * Resolves with { tiles, contents, bytes }.
+ */
+async function writePmtiles(file, tiles, metadata, { tileType = 'mvt', tileCompression = 'gzip', bounds = [-180, -85, 180, 85], center = null } = {}) {
+    const sorted = tiles
+        .map(t => ({ ...t, tileId: zxyToTileId(t.z, t.x, t.y) }))
+        .sort((a, b) => a.tileId - b.tileId);
+    const entries = [];
+    const offsets = new Map(); // content hash -> { offset, length }
+    const chunks = [];
+    let dataLength = 0;
+    for (const t of sorted) {
+        const hash = createHash('sha256').update(t.data).digest('hex');
+        let stored = offsets.get(hash);
+        if (!stored) {
+            stored = { offset: dataLength, length: t.data.length };
+            offsets.set(hash, stored);
+            chunks.push(t.data);
+            dataLength += t.data.length;
+        }
+        const last = entries[entries.length - 1];
+        if (last && last.offset === stored.offset && last.tileId + last.runLength === t.tileId) {
+            last.runLength++;
+        } else {
+            entries.push({ tileId: t.tileId, offset: stored.offset, length: stored.length, runLength: 1 });
+        }
+    }
+
+    const { root, leaves } = buildDirectories(entries);
+    const meta = zlib.gzipSync(Buffer.from(JSON.stringify(metadata)));
+    let minZoom = sorted.length ? Infinity : 0;
+    let maxZoom = 0;
+    for (const t of sorted) {
+        if (t.z < minZoom) minZoom = t.z;
+        if (t.z > maxZoom) maxZoom = t.z;
+    }
+    const [minLon, minLat, maxLon, maxLat] = bounds;
+    const [cLon, cLat, cZoom] = center || [(minLon + maxLon) / 2, (minLat + maxLat) / 2, minZoom];
+
+    const header = Buffer.alloc(HEADER_LENGTH);
+    header.write('PMTiles', 0, 'ascii');
+    header.writeUInt8(3, 7);
+    const rootOffset = HEADER_LENGTH;
+    const metaOffset = rootOffset + root.length;
+    const leafOffset = metaOffset + meta.length;
+    const dataOffset = leafOffset + leaves.length;
+    writeUint64(header, rootOffset, 8);
+    writeUint64(header, root.length, 16);
+    writeUint64(header, metaOffset, 24);
+    writeUint64(header, meta.length, 32);
+    writeUint64(header, leafOffset, 40);
+    writeUint64(header, leaves.length, 48);
+    writeUint64(header, dataOffset, 56);
+    writeUint64(header, dataLength, 64);
+    writeUint64(header, sorted.length, 72); // addressed tiles
+    writeUint64(header, entries.length, 80); // tile entries
+    writeUint64(header, offsets.size, 88); // tile contents
+    header.writeUInt8(1, 96); // clustered
+    header.writeUInt8(COMPRESSION.gzip, 97); // internal compression
+    header.writeUInt8(COMPRESSION[tileCompression] || COMPRESSION.none, 98);
+    header.writeUInt8(TILE_TYPE[tileType] || 0, 99);
+    header.writeUInt8(minZoom, 100);
+    header.writeUInt8(maxZoom, 101);
+    header.writeInt32LE(e7(minLon), 102);
+    header.writeInt32LE(e7(minLat), 106);
+    header.writeInt32LE(e7(maxLon), 110);
+    header.writeInt32LE(e7(maxLat), 114);
+    header.writeUInt8(Math.round(cZoom), 118);
+    header.writeInt32LE(e7(cLon), 119);
+    header.writeInt32LE(e7(cLat), 123);
+
+    const tmp = `${file}.tmp`;
+    const handle = await fsp.open(tmp, 'w');
+    try {
+        for (const part of [header, root, meta, leaves, ...chunks]) await handle.write(part);
+    } finally {
+        await handle.close();
+    }
+    await fsp.rename(tmp, file);
+    return { tiles: sorted.length, contents: offsets.size, bytes: dataOffset + dataLength };
+}
+
+module.exports = { writePmtiles, zxyToTileId };
@@ -0,0 +1,87 @@
+/**
+ * Live progress line for long passes over features:
+ *
+ *   _e52baf36e5e5.geojson 1200/5000 24.0% · 3.1/s · ETA 20m26s · scraped 1100, review 40, failed 60
+ *
+ * On a terminal the line is redrawn in place on stderr (at most every 250 ms); console output in between is
+ * printed above it (console.log / warn / error clear the line first while it is shown). Without a terminal
+ * (cron, CI, redirected output) a plain line is printed every `progressIntervalSeconds` (config, 0 = never).
+ * ETA is the remaining count at the average rate of this pass.
+ */
+
+const { loadConfig } = require('./config');
+
+const REDRAW_MS = 250;
+const CONSOLE_METHODS = ['log', 'warn', 'error', 'info'];
+
+function formatDuration(seconds) {
+    if (!isFinite(seconds)) return '?';
+    const s = Math.round(seconds);
+    if (s < 60) return `${s}s`;
+    if (s < 3600) return `${Math.floor(s / 60)}m${String(s % 60).padStart(2, '0')}s`;
+    return `${Math.floor(s / 3600)}h${String(Math.floor((s % 3600) / 60)).padStart(2, '0')}m`;
+}
+
+/**
+ * Start a progress line for `total` items. `describe()` returns the counts appended to the line
+ * (e.g. "scraped 10, failed 2"). Call tick() per finished item and stop() at the end of the pass.
+ */
+function createProgress({ label, total, describe = () => '', stream = process.stderr }) {
+    const tty = Boolean(stream.isTTY);
+    const intervalMs = tty ? REDRAW_MS : Number(loadConfig().progressIntervalSeconds || 0) * 1000;
+    const startedAt = Date.now();
+    let done = 0;
+    let lastDrawAt = tty ? 0 : startedAt; // plain output: first line after one interval
+    let shown = false;
+    const original = {};
+
+    function line() {
+        const elapsed = (Date.now() - startedAt) / 1000;
+        const rate = elapsed > 0 ? done / elapsed : 0;
+        const pct = total ? ((done / total) * 100).toFixed(1) : '100.0';
+        const eta = done < total ? `ETA ${formatDuration(rate ? (total - done) / rate : Infinity)}` : `took ${formatDuration(elapsed)}`;
+        const counts = describe();
+        return `${label} ${done}/${total} ${pct}% · ${rate.toFixed(1)}/s · ${eta}${counts ? ` · ${counts}` : ''}`;
+    }
+
+    function clear() {
+        if (shown) stream.write('\r\x1b[K');
+        shown = false;
+    }
+
+    function draw() {
+        lastDrawAt = Date.now();
+        if (!tty) { stream.write(`${line()}\n`); return; }
+        const text = line().slice(0, Math.max(20, (stream.columns || 120) - 1));
+        stream.write(`\r\x1b[K${text}`);
+        shown = true;
+    }
+
+    // Other output goes above the line: clear it, print, redraw
+    if (tty && total) {
+        for (const m of CONSOLE_METHODS) {
+            original[m] = console[m];
+            console[m] = (...args) => {
+                const wasShown = shown;
+                clear();
+                original[m].apply(console, args);
+                if (wasShown) draw();
+            };
+        }
+    }
+
+    return {
+        tick() {
+            done++;
+            if (intervalMs > 0 && Date.now() - lastDrawAt >= intervalMs) draw();
+        },
+        stop() {
+            for (const m of Object.keys(original)) console[m] = original[m];
+            if (!total) return;
+            if (tty) { clear(); stream.write(`${line()}\n`); }
+            else if (intervalMs > 0) draw();
+        },
+    };
+}
+
+module.exports = { createProgress, formatDuration };
@@ -0,0 +1,45 @@
+/**
+ * Provider registry.
+ *
+ * A provider adapter turns an OSM address into offers in three steps:
+ *   searchAddress(address, props) -> match { addressKey, confidence, label, candidates }; rejects with an
+ *                                    error of code NO_SEARCH_HITS (address-variants.js) when nothing matches,
+ *                                    so the fallback queries are tried
+ *   fetchServices(match)          -> raw payload (stored by raw-cache.js, re-read by --reextract)
+ *   normalizeOffers(raw)          -> offers[] in the shared shape (connectionType, originalTitle, speed,
+ *                                    pricePerMonthEur, currency, terms, promotion, contractTermMonths, …)
+ * and exposes its `id`, which is written to every record as `provider`.
+ *
+ * Factories receive { http, ...options }: `http` is a request scheduler private to that provider (its own
+ * pacing/backoff), options come from config `providers` ({ "<id>": { baseUrl, rateLimit, … } }).
+ * To add an ISP: create providers/<id>.js exporting a factory and register it in FACTORIES.
+ */
+
+const { createRequestScheduler } = require('../scheduler');
+const { createTetProvider } = require('./tet');
+
+const FACTORIES = {
+    tet: createTetProvider,
+};
+
+function getFactory(id) {
+    const factory = FACTORIES[id];
+    if (!factory) throw new Error(`Unknown provider "${id}" (known: ${Object.keys(FACTORIES).join(', ')})`);
+    return factory;
+}
+
+/** Instantiate every provider enabled in config.providers, each with its own scheduler as `http`. */
+function createProviders(config) {
+    return Object.entries(config.providers || {}).map(([id, options]) => {
+        const opts = options || {};
+        const http = createRequestScheduler({ ...config.rateLimit, ...(opts.rateLimit || {}), name: id });
+        return { ...getFactory(id)({ ...opts, http }), http };
+    });
+}
+
+/** Offer normalizer of a provider (no network needed; used for re-extraction). */
+function getOfferNormalizer(id) {
+    return getFactory(id)({ http: null }).normalizeOffers;
+}
+
+module.exports = { createProviders, getOfferNormalizer, FACTORIES };
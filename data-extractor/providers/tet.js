@@ -0,0 +1,139 @@
+/**
+ * Tet provider adapter (gateway.tet.lv).
+ *
+ *   searchAddress(address, props) -> { addressKey, confidence, label, candidates, hit } (or a NO_SEARCH_HITS error)
+ *   fetchServices(match)          -> raw `sac/available-services` payload
+ *   normalizeOffers(raw)          -> offers in the shared record shape (see README "Data Contracts")
+ *
+ * The base URL comes from options.baseUrl, falling back to config `gatewayUrl`, so the adapter can be
+ * pointed at mock-gateway.js (or any fixture server) for tests and offline runs.
+ */
+
+const { loadConfig } = require('../config');
+const { selectAddressHit } = require('../address-match');
+const { noSearchHitsError } = require('../address-variants');
+
+function encodeSearchQuery(address) {
+    // Lowercase, collapse multiple spaces, trim, encode spaces as %20 via encodeURIComponent
+    const norm = address
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase();
+    return encodeURIComponent(norm);
+}
+
+function extractInternetOffers(raw) {
+    if (!raw || !raw.data || !Array.isArray(raw.data.structure)) return [];
+    const offers = [];
+    // Only use the object with key === 'internet'
+    const internetGroup = raw.data.structure.find(g => g && g.key === 'internet' || g.key === 'mobile_internet');
+    if (!internetGroup) return offers; // nothing to process
+    const mapConnectionType = (tech, subgroupKey) => {
+        if (tech === 'GPON') return 'Fiber (Optikas)';
+        if (/vdsl|dsl|adsl/i.test(tech || '')) return 'DSL/VDSL';
+        if (!tech) {
+            // Null technology => treat as mobile (spec) optionally verify subgroup key
+            if (subgroupKey && subgroupKey.includes('mobile')) return 'Mobile (4G/5G)';
+            return 'Mobile (4G/5G)';
+        }
+        return 'DSL/VDSL'; // fallback (most remaining fixed-line non-GPON assumed DSL/VDSL)
+    };
+
+    if (Array.isArray(internetGroup.subgroups)) {
+        for (const sg of internetGroup.subgroups) {
+            if (!sg || !Array.isArray(sg.products)) continue;
+            const subgroupKey = sg.key || '';
+            for (const p of sg.products) {
+                if (!p || typeof p !== 'object') continue;
+
+                // Determine connection type as per spec using technology / subgroup
+                const technology = p.technology || null; // may be null for mobile
+                const connectionType = mapConnectionType(technology, subgroupKey);
+
+                // Build speed object if available
+                let speed = null;
+                const ts = p.technologySpeed;
+                if (ts && typeof ts === 'object') {
+                    if (ts.min != null && ts.max != null) {
+                        speed = { minMbit: Number(ts.min), maxMbit: Number(ts.max) };
+                    } else if (ts.max != null) {
+                        speed = { upToMbit: Number(ts.max) };
+                    }
+                }
+
+                // Extract contract terms: pick one regular (promotionCode null) & one promo (promotionCode not null)
+                const contractTerms = Array.isArray(p.contractTerms) ? p.contractTerms : [];
+                const regularTerm = contractTerms.find(ct => !ct.promotionCode) || null;
+                const promoTerm = contractTerms.find(ct => ct.promotionCode) || null;
+
+                const baseOfferFields = () => ({
+                    connectionType,
+                    originalTitle: p.name?.lv || p.productCode || connectionType,
+                    speed,
+                    features: p.benefits && p.benefits.lv ? p.benefits.lv.split(/\r?\n/).filter(Boolean) : null,
+                    techInfo: ts?.description?.lv || technology || null,
+                });
+
+                function buildTermsArray(termObj) {
+                    const arr = [];
+                    if (!termObj) return arr;
+                    if (termObj.contractTerm > 0) arr.push(`Līgums uz ${termObj.contractTerm} mēnešiem`);
+                    if (termObj.priceDescription?.lv) arr.push(termObj.priceDescription.lv);
+                    if (termObj.description) arr.push(termObj.description);
+                    return arr.length ? arr : null;
+                }
+
+                if (regularTerm) {
+                    offers.push({
+                        ...baseOfferFields(),
+                        pricePerMonthEur: typeof regularTerm.amount === 'number' ? regularTerm.amount : null,
+                        currency: typeof regularTerm.amount === 'number' ? 'EUR' : null,
+                        terms: buildTermsArray(regularTerm),
+                        promotion: false,
+                        contractTermMonths: regularTerm.contractTerm || regularTerm.term || 0,
+                        promotionCode: null
+                    });
+                }
+                if (promoTerm) {
+                    offers.push({
+                        ...baseOfferFields(),
+                        pricePerMonthEur: typeof promoTerm.amount === 'number' ? promoTerm.amount : null,
+                        currency: typeof promoTerm.amount === 'number' ? 'EUR' : null,
+                        terms: buildTermsArray(promoTerm),
+                        promotion: true,
+                        contractTermMonths: promoTerm.contractTerm || promoTerm.term || 0,
+                        promotionCode: promoTerm.promotionCode || null
+                    });
+                }
+            }
+        }
+    }
+    return offers;
+}
+
+/** `http` is a request scheduler (scheduler.js) or anything with the same get(url, config) signature. */
+function createTetProvider({ http, baseUrl = null } = {}) {
+    const base = () => (baseUrl || loadConfig().gatewayUrl).replace(/\/+$/, '');
+
+    /** Search the gateway and pick the hit that best matches the OSM tags (see address-match.js). */
+    async function searchAddress(address, props) {
+        const url = `${base()}/addresses/search/${encodeSearchQuery(address)}`;
+        const { data } = await http.get(url, { timeout: 5000 });
+        if (!data || !Array.isArray(data.data) || data.data.length === 0) {
+            throw noSearchHitsError();
+        }
+        const match = selectAddressHit(data.data, props);
+        if (!match) throw noSearchHitsError();
+        return match;
+    }
+
+    async function fetchServices(match) {
+        const url = `${base()}/sac/available-services?addressKey=${match.addressKey}`;
+        const { data } = await http.get(url, { timeout: 25000 });
+        return data; // raw object (matches example.json style)
+    }
+
+    return { id: 'tet', searchAddress, fetchServices, normalizeOffers: extractInternetOffers };
+}
+
+module.exports = { createTetProvider, extractInternetOffers, encodeSearchQuery };
@@ -0,0 +1,80 @@
+/**
+ * Content-addressed cache of raw `available-services` payloads.
+ *
+ * Layout (under ./cache):
+ *   objects/<aa>/<sha256>.json.gz          gzipped payload, named by the SHA-256 of its JSON text
+ *   index/<provider>/<addressKey>.ndjson   one line per fetch: { date: "YYYY-MM-DD", fetchedAt, hash }
+ *
+ * Identical payloads are stored once. Records written to exports carry `rawHash`, so `--reextract`
+ * can rebuild offers from disk without touching the network.
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { createHash, randomUUID } = require('crypto');
+
+const CACHE_DIR = path.resolve(__dirname, 'cache');
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+function objectPath(hash) {
+    return path.join(CACHE_DIR, 'objects', hash.slice(0, 2), `${hash}.json.gz`);
+}
+
+function indexPath(provider, addressKey) {
+    // Tet addressKeys are numeric; keep the file name safe for other providers regardless
+    const safe = (v) => String(v).replace(/[^A-Za-z0-9_-]/g, '_');
+    return path.join(CACHE_DIR, 'index', safe(provider), `${safe(addressKey)}.ndjson`);
+}
+
+/** Store a raw payload for provider + addressKey. Resolves with its content hash. */
+async function storeRawResponse(provider, addressKey, raw, fetchedAt = new Date().toISOString()) {
+    const text = JSON.stringify(raw);
+    const hash = createHash('sha256').update(text).digest('hex');
+    const obj = objectPath(hash);
+    if (!fs.existsSync(obj)) {
+        await fsp.mkdir(path.dirname(obj), { recursive: true });
+        // Unique per write: concurrent stores of the same payload (--batch) must not share a temp file
+        const tmp = `${obj}.${randomUUID()}.tmp`;
+        await fsp.writeFile(tmp, await gzip(text));
+        await fsp.rename(tmp, obj);
+    }
+    const idx = indexPath(provider, addressKey);
+    await fsp.mkdir(path.dirname(idx), { recursive: true });
+    await fsp.appendFile(idx, JSON.stringify({ date: fetchedAt.slice(0, 10), fetchedAt, hash }) + '\n', 'utf8');
+    return hash;
+}
+
+/** Load a payload by hash (null when missing). */
+async function loadRawResponse(hash) {
+    const obj = objectPath(hash);
+    if (!fs.existsSync(obj)) return null;
+    return JSON.parse((await gunzip(await fsp.readFile(obj))).toString('utf8'));
+}
+
+/** Index entries for provider + addressKey, oldest first. */
+async function listRawResponses(provider, addressKey) {
+    const idx = indexPath(provider, addressKey);
+    if (!fs.existsSync(idx)) return [];
+    const out = [];
+    for (const line of (await fsp.readFile(idx, 'utf8')).split('\n')) {
+        const t = line.trim();
+        if (!t) continue;
+        try { out.push(JSON.parse(t)); } catch { /* ignore malformed */ }
+    }
+    return out;
+}
+
+/** Latest payload hash for provider + addressKey fetched on or before `date` (YYYY-MM-DD, default: any). */
+async function findRawHash(provider, addressKey, date = null) {
+    const entries = await listRawResponses(provider, addressKey);
+    for (let i = entries.length - 1; i >= 0; i--) {
+        if (!date || entries[i].date <= date) return entries[i].hash;
+    }
+    return null;
+}
+
+module.exports = { storeRawResponse, loadRawResponse, listRawResponses, findRawHash, CACHE_DIR };
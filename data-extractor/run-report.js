@@ -0,0 +1,48 @@
+/**
+ * Run report: one JSON file per extractor run in ./reports/<timestamp>.json.
+ *
+ *   const report = createRunReport('scrape');
+ *   report.set('geometry', exportGeometryStats());
+ *   await report.write();
+ *
+ * Sections are free-form objects set by the stages of the run; the file also records the command
+ * line, start / finish time and duration.
+ */
+
+const fsp = require('fs/promises');
+const path = require('path');
+const { writeFileAtomic } = require('./journal');
+
+const REPORTS_DIR = path.resolve(__dirname, 'reports');
+
+function createRunReport(command) {
+    const startedAt = new Date();
+    const sections = {};
+    return {
+        startedAt,
+        set(section, data) {
+            sections[section] = data;
+        },
+        get(section) {
+            return sections[section];
+        },
+        /** Write the report; resolves with its path. */
+        async write() {
+            const finishedAt = new Date();
+            const report = {
+                command,
+                args: process.argv.slice(2),
+                startedAt: startedAt.toISOString(),
+                finishedAt: finishedAt.toISOString(),
+                durationMs: finishedAt - startedAt,
+                ...sections,
+            };
+            await fsp.mkdir(REPORTS_DIR, { recursive: true });
+            const file = path.join(REPORTS_DIR, `${startedAt.toISOString().replace(/[:.]/g, '-')}.json`);
+            await writeFileAtomic(file, JSON.stringify(report, null, 2));
+            return file;
+        },
+    };
+}
+
+module.exports = { createRunReport, REPORTS_DIR };
@@ -0,0 +1,188 @@
+/**
+ * Shared request scheduler for gateway calls (adaptive rate limiting).
+ *
+ *  - Requests are paced: each start is at least `intervalMs` after the previous one.
+ *  - 429 / 5xx / network errors are transient: the interval is doubled (up to maxIntervalMs),
+ *    a Retry-After header pauses ALL requests until it expires, and the request is retried with
+ *    full-jitter exponential backoff (up to maxRetries).
+ *  - After `healthyStreak` consecutive successes the interval shrinks again (x speedupFactor).
+ *  - Every decision (slowdown, speedup, pause, retry, giveup) is printed and appended as one JSON line
+ *    to logs/scheduler[-<name>]-<timestamp>.ndjson so runs can be tuned afterwards.
+ *  - stats() adds the request rate since the first request and response latencies (avg, p50, p95, max over
+ *    a uniform sample of at most LATENCY_SAMPLES requests) to the counters.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const LOGS_DIR = path.resolve(__dirname, 'logs');
+
+const DEFAULT_OPTIONS = {
+    initialIntervalMs: 100,
+    minIntervalMs: 0,
+    maxIntervalMs: 30000,
+    maxRetries: 4,
+    baseBackoffMs: 1000,
+    maxBackoffMs: 60000,
+    healthyStreak: 20,
+    speedupFactor: 0.8,
+};
+
+const LATENCY_SAMPLES = 10000;
+
+const sleep = (ms) => new Promise(res => setTimeout(res, ms));
+
+/** Latency summary that keeps a reservoir sample, so memory stays bounded on whole-country runs. */
+function createLatencyStats() {
+    const sample = [];
+    let count = 0;
+    let sum = 0;
+    let max = 0;
+    return {
+        add(ms) {
+            count++;
+            sum += ms;
+            if (ms > max) max = ms;
+            if (sample.length < LATENCY_SAMPLES) sample.push(ms);
+            else {
+                const i = Math.floor(Math.random() * count);
+                if (i < LATENCY_SAMPLES) sample[i] = ms;
+            }
+        },
+        summary() {
+            if (!count) return { avgMs: null, p50Ms: null, p95Ms: null, maxMs: null };
+            const sorted = sample.slice().sort((a, b) => a - b);
+            const at = (q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+            return { avgMs: Math.round(sum / count), p50Ms: at(0.5), p95Ms: at(0.95), maxMs: max };
+        },
+    };
+}
+
+function isTransientError(err) {
+    const status = err.response?.status;
+    if (status === 429) return true;
+    if (status >= 500) return true;
+    if (status) return false; // other HTTP statuses are permanent (4xx)
+    return ['ECONNABORTED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE', 'ERR_BAD_RESPONSE'].includes(err.code) || /timeout/i.test(err.message || '');
+}
+
+/** Parse Retry-After (delta seconds or HTTP date) into milliseconds, or null. */
+function parseRetryAfter(value) {
+    if (value == null || value === '') return null;
+    const secs = Number(value);
+    if (!isNaN(secs)) return Math.max(0, secs * 1000);
+    const date = Date.parse(value);
+    if (!isNaN(date)) return Math.max(0, date - Date.now());
+    return null;
+}
+
+function createRequestScheduler(options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    let intervalMs = opts.initialIntervalMs;
+    let nextSlot = 0;
+    let pausedUntil = 0;
+    let successStreak = 0;
+    let logStream = null;
+    const counters = { requests: 0, ok: 0, retries: 0, failed: 0, throttled: 0 };
+    const latency = createLatencyStats();
+    let firstRequestAt = null;
+
+    function log(decision, data) {
+        const entry = { at: new Date().toISOString(), decision, intervalMs: Math.round(intervalMs), ...data };
+        console.log(`  [scheduler${opts.name ? `:${opts.name}` : ''}] ${decision}${data.status ? ` (${data.status})` : ''} -> interval ${Math.round(intervalMs)}ms${data.waitMs != null ? `, wait ${Math.round(data.waitMs)}ms` : ''}`);
+        if (opts.logFile === false) return;
+        if (!logStream) {
+            fs.mkdirSync(LOGS_DIR, { recursive: true });
+            const file = opts.logFile || path.join(LOGS_DIR, `scheduler${opts.name ? `-${opts.name}` : ''}-${new Date().toISOString().replace(/[:.]/g, '-')}.ndjson`);
+            logStream = fs.createWriteStream(file, { flags: 'a' });
+        }
+        logStream.write(JSON.stringify(entry) + '\n');
+    }
+
+    async function acquire() {
+        for (;;) {
+            const now = Date.now();
+            const start = Math.max(now, nextSlot, pausedUntil);
+            if (start <= now) {
+                nextSlot = now + intervalMs;
+                return;
+            }
+            await sleep(start - now);
+        }
+    }
+
+    function onSuccess() {
+        counters.ok++;
+        successStreak++;
+        if (successStreak >= opts.healthyStreak && intervalMs > opts.minIntervalMs) {
+            const prev = intervalMs;
+            intervalMs = Math.max(opts.minIntervalMs, intervalMs * opts.speedupFactor);
+            successStreak = 0;
+            log('speedup', { fromMs: Math.round(prev) });
+        }
+    }
+
+    function onTransient(err, url) {
+        const status = err.response?.status || null;
+        if (status === 429) counters.throttled++;
+        successStreak = 0;
+        const prev = intervalMs;
+        intervalMs = Math.min(opts.maxIntervalMs, Math.max(intervalMs * 2, opts.baseBackoffMs / 4));
+        log('slowdown', { status, code: err.code || null, fromMs: Math.round(prev), url });
+        const retryAfterMs = parseRetryAfter(err.response?.headers?.['retry-after']);
+        if (retryAfterMs != null) {
+            pausedUntil = Math.max(pausedUntil, Date.now() + retryAfterMs);
+            log('pause', { status, waitMs: retryAfterMs, url });
+        }
+        return retryAfterMs;
+    }
+
+    /** Perform an axios GET through the scheduler. Resolves with the axios response. */
+    async function get(url, axiosConfig = {}) {
+        for (let attempt = 0; ; attempt++) {
+            await acquire();
+            counters.requests++;
+            const startedAt = Date.now();
+            if (firstRequestAt == null) firstRequestAt = startedAt;
+            try {
+                const resp = await axios.get(url, axiosConfig);
+                latency.add(Date.now() - startedAt);
+                onSuccess();
+                return resp;
+            } catch (err) {
+                latency.add(Date.now() - startedAt);
+                if (!isTransientError(err)) { counters.failed++; throw err; }
+                const retryAfterMs = onTransient(err, url);
+                if (attempt >= opts.maxRetries) {
+                    counters.failed++;
+                    log('giveup', { status: err.response?.status || null, attempts: attempt + 1, url });
+                    throw err;
+                }
+                const cap = Math.min(opts.maxBackoffMs, opts.baseBackoffMs * 2 ** attempt);
+                const waitMs = Math.max(retryAfterMs || 0, Math.random() * cap);
+                counters.retries++;
+                log('retry', { status: err.response?.status || null, attempt: attempt + 1, waitMs: Math.round(waitMs), url });
+                await sleep(waitMs);
+            }
+        }
+    }
+
+    function stats() {
+        const seconds = firstRequestAt != null ? (Date.now() - firstRequestAt) / 1000 : 0;
+        return {
+            ...counters,
+            intervalMs: Math.round(intervalMs),
+            perSecond: seconds > 0 ? Math.round((counters.requests / seconds) * 100) / 100 : 0,
+            latency: latency.summary(),
+        };
+    }
+
+    function close() {
+        if (logStream) { logStream.end(); logStream = null; }
+    }
+
+    return { get, stats, close };
+}
+
+module.exports = { createRequestScheduler, isTransientError, parseRetryAfter, DEFAULT_OPTIONS };
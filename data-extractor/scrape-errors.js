@@ -0,0 +1,101 @@
+/**
+ * Why a feature failed, as stored in the `errors` array of its import:
+ *     { "id": "way/2", "reason": "throttled", "status": 429, "permanent": false, "attempts": 2,
+ *       "lastAttemptAt": "2025-01-01T10:00:00.000Z", "message": "Request failed with status code 429 [tet]", "provider": "tet" }
+ *
+ *   reason              class      cause
+ *   incomplete-address  permanent  no street + house number, house name or place + house number
+ *   no-search-hits      permanent  the search (and every fallback query) found nothing
+ *   http-error          permanent  other 4xx answer (e.g. 404 for an address key)
+ *   parse-error         permanent  the provider could not map the services payload
+ *   throttled           transient  429 after the scheduler's retries
+ *   server-error        transient  5xx after the scheduler's retries
+ *   network             transient  timeout, connection reset / refused, DNS
+ *   unknown             transient  anything else (and bare ids written by older versions)
+ * `retry` only retries transient errors unless told otherwise; permanent ones need the data to change.
+ */
+
+const { isTransientError } = require('./scheduler');
+const { NO_SEARCH_HITS } = require('./address-variants');
+
+const REASONS = {
+    'incomplete-address': { permanent: true },
+    'no-search-hits': { permanent: true },
+    'http-error': { permanent: true },
+    'parse-error': { permanent: true },
+    throttled: { permanent: false },
+    'server-error': { permanent: false },
+    network: { permanent: false },
+    unknown: { permanent: false },
+};
+
+/** Tag an error with its reason (e.g. a payload the provider cannot map) so classifyError keeps it. */
+function withReason(error, reason) {
+    error.reason = reason;
+    return error;
+}
+
+/** { reason, status, permanent, message } of a thrown error. */
+function classifyError(error) {
+    const status = error.response?.status || null;
+    let reason = 'unknown';
+    if (REASONS[error.reason]) reason = error.reason;
+    else if (error.code === NO_SEARCH_HITS) reason = 'no-search-hits';
+    else if (status === 429) reason = 'throttled';
+    else if (status >= 500) reason = 'server-error';
+    else if (status) reason = 'http-error';
+    else if (isTransientError(error)) reason = 'network';
+    return { reason, status, permanent: REASONS[reason].permanent, message: error.message || String(error) };
+}
+
+/** Error details of a feature without a usable address (nothing was requested). */
+function incompleteAddressError() {
+    return { reason: 'incomplete-address', status: null, permanent: true, message: 'incomplete address' };
+}
+
+/**
+ * Error details of a feature that failed with one or more providers ({ provider, error } pairs): the first
+ * transient failure, so the feature stays retryable while any provider may still succeed.
+ */
+function classifyFailures(failures) {
+    const classified = failures.map(f => ({ ...classifyError(f.error), message: `${f.error.message} [${f.provider}]`, provider: f.provider }));
+    return classified.find(c => !c.permanent) || classified[0];
+}
+
+/** An `errors` entry in the current shape; older imports hold bare ids. */
+function normalizeErrorEntry(entry) {
+    if (entry && typeof entry === 'object') return entry;
+    return { id: entry, reason: 'unknown', status: null, permanent: false, attempts: 1, lastAttemptAt: null, message: null };
+}
+
+/** Errors grouped by reason: [{ reason, permanent, count, statuses: [..] }], most frequent first. */
+function summarizeErrors(errors) {
+    const rows = new Map();
+    for (const e of errors) {
+        const row = rows.get(e.reason) || { reason: e.reason, permanent: Boolean(e.permanent), count: 0, statuses: [] };
+        row.count++;
+        if (e.status && !row.statuses.includes(e.status)) row.statuses.push(e.status);
+        rows.set(e.reason, row);
+    }
+    return [...rows.values()].sort((a, b) => b.count - a.count || a.reason.localeCompare(b.reason));
+}
+
+/** Console table of summarizeErrors rows (indented, no trailing newline). */
+function formatErrorSummary(rows, indent = '  ') {
+    const lines = [`${indent}${'reason'.padEnd(20)} ${'class'.padEnd(10)} ${'count'.padStart(6)}  status`];
+    for (const r of rows) {
+        lines.push(`${indent}${r.reason.padEnd(20)} ${(r.permanent ? 'permanent' : 'transient').padEnd(10)} ${String(r.count).padStart(6)}  ${r.statuses.sort().join(', ') || '-'}`);
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    classifyError,
+    classifyFailures,
+    incompleteAddressError,
+    withReason,
+    normalizeErrorEntry,
+    summarizeErrors,
+    formatErrorSummary,
+    REASONS,
+};
@@ -0,0 +1,64 @@
+/**
+ * Scoring of gateway search hits against OSM address tags (address-match.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { selectAddressHit, scoreHit, normalizeStreet } = require('../address-match');
+
+const HITS_12 = [
+    { addressKey: '1', address: 'Elizabetes iela 12A, Rīga, LV-1010' },
+    { addressKey: '2', address: 'Elizabetes iela 12, Rīga, LV-1010' },
+];
+
+test('house number 12 does not match 12A', () => {
+    const props = { 'addr:street': 'Elizabetes iela', 'addr:housenumber': '12', 'addr:city': 'Rīga' };
+    assert.equal(scoreHit(HITS_12[1], props), 1);
+    assert.ok(scoreHit(HITS_12[0], props) < 0.9, 'a wrong letter suffix stays below minConfidence');
+    const match = selectAddressHit(HITS_12, props);
+    assert.equal(match.addressKey, '2');
+    assert.equal(match.candidates, 2);
+
+    const only12A = selectAddressHit([HITS_12[0]], props);
+    assert.equal(only12A.addressKey, '1');
+    assert.ok(only12A.confidence < 0.9);
+});
+
+test('house numbers compare without case and spaces', () => {
+    const props = { 'addr:street': 'Elizabetes iela', 'addr:housenumber': '12 a', 'addr:city': 'Rīga' };
+    assert.equal(selectAddressHit(HITS_12, props).addressKey, '1');
+});
+
+test('ref:LV:addr equal to the hit code wins over a better looking label', () => {
+    const hits = [
+        { addressKey: '1', address: 'Elizabetes iela 12, Rīga', code: '100000001' },
+        { addressKey: '2', address: 'Elizabetes iela 12, Rīga', code: '100000002' },
+    ];
+    const props = { 'addr:street': 'Elizabetes iela', 'addr:housenumber': '12', 'addr:city': 'Rīga', 'ref:LV:addr': '100000002' };
+    const match = selectAddressHit(hits, props);
+    assert.equal(match.addressKey, '2');
+    assert.equal(match.confidence, 1);
+    assert.equal(scoreHit(hits[0], props), 0.3, 'a different code caps the score');
+});
+
+test('abbreviated street types match the official spelling', () => {
+    assert.equal(normalizeStreet('Brīvības i.'), normalizeStreet('Brīvības iela'));
+    const props = { 'addr:street': 'Brīvības i.', 'addr:housenumber': '1', 'addr:city': 'Rīga' };
+    assert.equal(scoreHit({ addressKey: '1', address: 'Brīvības iela 1, Rīga, LV-1050' }, props), 1);
+});
+
+test('named rural houses are matched by the quoted name', () => {
+    const props = { 'addr:housename': 'Kalnieši', 'addr:subdistrict': 'Garkalnes pagasts' };
+    const hits = [
+        { addressKey: '1', address: '“Kalnāji”, Garkalnes pag., Ropažu nov., LV-2137' },
+        { addressKey: '2', address: '“Kalnieši”, Garkalnes pag., Ropažu nov., LV-2137' },
+    ];
+    const match = selectAddressHit(hits, props);
+    assert.equal(match.addressKey, '2');
+    assert.equal(match.confidence, 1);
+});
+
+test('no hits, or hits without an addressKey, give null', () => {
+    assert.equal(selectAddressHit([], { 'addr:housenumber': '1' }), null);
+    assert.equal(selectAddressHit([{ address: 'Brīvības iela 1, Rīga' }], { 'addr:housenumber': '1' }), null);
+});
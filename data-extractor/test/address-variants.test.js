@@ -0,0 +1,105 @@
+/**
+ * Fallback search queries (address-variants.js): order of the variants and the variant that found the address.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildAddressVariants, searchWithVariants, noSearchHitsError, addressVariantStats, NO_SEARCH_HITS } = require('../address-variants');
+const { createMockGateway } = require('../mock-gateway');
+const { createTetProvider } = require('../providers/tet');
+const { createRequestScheduler } = require('../scheduler');
+
+// Street + house, then the localities (same order as buildAddressString in api.js)
+const buildAddress = (p) => [
+    [p['addr:street'], p['addr:housenumber']].filter(Boolean).join(' '),
+    p['addr:city'], p['addr:subdistrict'], p['addr:district'],
+].filter(Boolean).join(', ');
+
+const PROPS = {
+    'addr:street': 'Lāčplēša i.',
+    'addr:housenumber': '20A',
+    'addr:city': 'Rīga',
+    'addr:subdistrict': 'Centrs',
+    'addr:district': 'Rīgas nov.',
+};
+
+/** search() that only finds `wanted` and records every query it was asked. */
+function fakeSearch(wanted) {
+    const queries = [];
+    const search = async (query) => {
+        queries.push(query);
+        if (query === wanted) return { addressKey: 'k', confidence: 0.8, label: query, candidates: 1 };
+        throw noSearchHitsError();
+    };
+    return { search, queries };
+}
+
+test('variants follow the config order, each keeping the changes before it', () => {
+    assert.deepEqual(buildAddressVariants(PROPS, buildAddress), [
+        { name: 'dropDistrict', address: 'Lāčplēša i. 20A, Rīga, Centrs' },
+        { name: 'dropSubdistrict', address: 'Lāčplēša i. 20A, Rīga' },
+        { name: 'officialStreetType', address: 'Lāčplēša iela 20A, Rīga' },
+        { name: 'stripHouseSuffix', address: 'Lāčplēša iela 20, Rīga' },
+        { name: 'transliterate', address: 'Lacplesa iela 20, Riga' },
+    ]);
+});
+
+test('variants that do not change the query are left out', () => {
+    const props = { 'addr:street': 'Brīvības iela', 'addr:housenumber': '1', 'addr:city': 'Rīga' };
+    assert.deepEqual(buildAddressVariants(props, buildAddress), [{ name: 'transliterate', address: 'Brivibas iela 1, Riga' }]);
+});
+
+test('the first variant with hits wins and is returned with its query', async () => {
+    const before = addressVariantStats();
+    const { search, queries } = fakeSearch('Lāčplēša iela 20, Rīga');
+    const { match, variant } = await searchWithVariants(search, PROPS, buildAddress, buildAddress(PROPS));
+    assert.equal(match.addressKey, 'k');
+    assert.deepEqual(variant, { name: 'stripHouseSuffix', address: 'Lāčplēša iela 20, Rīga' });
+    assert.deepEqual(queries, [
+        'Lāčplēša i. 20A, Rīga, Centrs, Rīgas nov.',
+        'Lāčplēša i. 20A, Rīga, Centrs',
+        'Lāčplēša i. 20A, Rīga',
+        'Lāčplēša iela 20A, Rīga',
+        'Lāčplēša iela 20, Rīga',
+    ]);
+    const after = addressVariantStats();
+    assert.equal(after.recovered - before.recovered, 1);
+    assert.equal(after.variants.stripHouseSuffix.found - (before.variants.stripHouseSuffix?.found || 0), 1);
+});
+
+test('a hit for the original query needs no variant', async () => {
+    const { search, queries } = fakeSearch(buildAddress(PROPS));
+    const { variant } = await searchWithVariants(search, PROPS, buildAddress, buildAddress(PROPS));
+    assert.equal(variant, null);
+    assert.equal(queries.length, 1);
+});
+
+test('without any hit the original error is rethrown; other errors stop the fallbacks', async () => {
+    const { search, queries } = fakeSearch(null);
+    await assert.rejects(searchWithVariants(search, PROPS, buildAddress, buildAddress(PROPS)), { code: NO_SEARCH_HITS });
+    assert.equal(queries.length, 6);
+
+    let calls = 0;
+    const failing = async () => {
+        calls++;
+        throw Object.assign(new Error('Request failed with status code 503'), { response: { status: 503 } });
+    };
+    await assert.rejects(searchWithVariants(failing, PROPS, buildAddress, buildAddress(PROPS)), /503/);
+    assert.equal(calls, 1);
+});
+
+test('an abbreviated street is found through the mock gateway by officialStreetType', async (t) => {
+    const server = createMockGateway();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const http = createRequestScheduler({ name: 'test', initialIntervalMs: 0, logFile: false });
+    t.after(() => {
+        http.close();
+        server.close();
+    });
+    const provider = createTetProvider({ http, baseUrl: `http://127.0.0.1:${server.address().port}/api/` });
+    const props = { 'addr:street': 'Tērbatas i.', 'addr:housenumber': '14', 'addr:city': 'Rīga' };
+    const { match, variant } = await searchWithVariants(q => provider.searchAddress(q, props), props, buildAddress, buildAddress(props));
+    assert.deepEqual(variant, { name: 'officialStreetType', address: 'Tērbatas iela 14, Rīga' });
+    assert.equal(match.addressKey, '101010014');
+    assert.equal(match.confidence, 1);
+});
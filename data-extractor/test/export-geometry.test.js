@@ -0,0 +1,61 @@
+/**
+ * Export geometry (export-geometry.js): topology-preserving Douglas-Peucker and coordinate quantization.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simplifyGeometry, quantizeGeometry, countVertices } = require('../export-geometry');
+
+// Meters east / north of 24°E 57°N to degrees (the module projects around the geometry's own latitude)
+const KX = 111320 * Math.cos(57 * Math.PI / 180);
+const m = (x, y) => [24 + x / KX, 57 + y / 110540];
+
+test('Douglas-Peucker drops vertices within the tolerance and keeps the rest', () => {
+    const line = { type: 'LineString', coordinates: [m(0, 0), m(10, 0.3), m(20, -0.2), m(30, 6), m(40, 0)] };
+    const out = simplifyGeometry(line, 1);
+    assert.deepEqual(out.coordinates, [m(0, 0), m(20, -0.2), m(30, 6), m(40, 0)]);
+    assert.deepEqual(simplifyGeometry(line, 10).coordinates, [m(0, 0), m(40, 0)]);
+    assert.equal(countVertices(line), 5, 'the input is left untouched');
+});
+
+test('a simplified ring stays closed and keeps at least four positions', () => {
+    const square = [m(0, 0), m(25, 0.2), m(50, 0), m(50, 50), m(25, 50.3), m(0, 50), m(0, 0)];
+    const out = simplifyGeometry({ type: 'Polygon', coordinates: [square] }, 1).coordinates[0];
+    assert.equal(out.length, 5);
+    assert.deepEqual(out[0], out[out.length - 1]);
+
+    const triangle = [m(0, 0), m(10, 0.1), m(0, 10), m(0, 0)];
+    assert.deepEqual(simplifyGeometry({ type: 'Polygon', coordinates: [triangle] }, 50).coordinates[0], triangle);
+});
+
+test('rings are kept as they are when simplifying would make them cross', () => {
+    // The outer ring bulges 4 m south around x = 50; a hole sits in the bulge across y = 0
+    const outer = [m(0, 0), m(50, -4), m(100, 0), m(100, 100), m(0, 100), m(0, 0)];
+    const hole = [m(48, -2), m(48, 1), m(52, 1), m(52, -2), m(48, -2)];
+    const polygon = { type: 'Polygon', coordinates: [outer, hole] };
+    assert.deepEqual(simplifyGeometry(polygon, 5).coordinates, [outer, hole]);
+
+    // Without the hole the bulge is simplified away
+    const alone = simplifyGeometry({ type: 'Polygon', coordinates: [outer] }, 5).coordinates[0];
+    assert.equal(alone.length, 5);
+});
+
+test('MultiPolygons are simplified per polygon', () => {
+    const a = [m(0, 0), m(25, 0.2), m(50, 0), m(50, 50), m(0, 50), m(0, 0)];
+    const b = [m(100, 0), m(150, 0), m(150, 50), m(125, 50.2), m(100, 50), m(100, 0)];
+    const out = simplifyGeometry({ type: 'MultiPolygon', coordinates: [[a], [b]] }, 1);
+    assert.deepEqual(out.coordinates.map(p => p[0].length), [5, 5]);
+});
+
+test('quantization rounds coordinates and drops repeated positions', () => {
+    const line = { type: 'LineString', coordinates: [[24.1234567, 56.9876543], [24.1234571, 56.9876539], [24.12351, 56.98771]] };
+    assert.deepEqual(quantizeGeometry(line, 5).coordinates, [[24.12346, 56.98765], [24.12351, 56.98771]]);
+    assert.deepEqual(quantizeGeometry({ type: 'Point', coordinates: [24.1234567, 56.9876543] }, 6).coordinates, [24.123457, 56.987654]);
+});
+
+test('quantization keeps every position of a ring it would collapse', () => {
+    const tiny = [[24.100001, 56.900001], [24.100002, 56.900001], [24.100002, 56.900002], [24.100001, 56.900001]];
+    const out = quantizeGeometry({ type: 'Polygon', coordinates: [tiny] }, 5).coordinates[0];
+    assert.equal(out.length, 4);
+    assert.deepEqual(out[0], [24.1, 56.9]);
+});
@@ -0,0 +1,96 @@
+/**
+ * Progress journal: replay after a crash (torn last line included) and compaction into the import GeoJSON.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openProgressJournal, readProgressState, journalPathFor } = require('../journal');
+
+function emptyImport() {
+    return { type: 'FeatureCollection', features: [], progress: [], errors: [], review: [] };
+}
+
+function writeImport(dir) {
+    const file = path.join(dir, '_abc.geojson');
+    fs.writeFileSync(file, JSON.stringify(emptyImport()));
+    return file;
+}
+
+const readImport = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+test('progress journal', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    await t.test('entries of a crashed run are replayed on open, a torn last line is ignored', async () => {
+        const file = writeImport(dir);
+        const journal = await openProgressJournal(file, readImport(file));
+        await journal.markProgress('way/1');
+        await journal.markError('way/2', { reason: 'throttled', status: 429, permanent: false });
+        await journal.markError('way/2', { reason: 'throttled', status: 429, permanent: false });
+        await journal.markReview('way/3');
+        // Crash: the GeoJSON was never compacted and the last write was cut off
+        fs.appendFileSync(journalPathFor(file), '{"op":"progress","id":"way/');
+        assert.deepEqual(readImport(file).progress, []);
+
+        const state = await readProgressState(file, readImport(file));
+        assert.equal(state.replayed, 4);
+        assert.deepEqual([...state.progressSet], ['way/1']);
+        assert.equal(state.errorMap.get('way/2').attempts, 2);
+        assert.deepEqual([...state.reviewSet], ['way/3']);
+
+        const reopened = await openProgressJournal(file, readImport(file));
+        assert.equal(reopened.replayed, 4);
+        // Replay is compacted right away: the GeoJSON holds the state, the journal is empty
+        const onDisk = readImport(file);
+        assert.deepEqual(onDisk.progress, ['way/1']);
+        assert.deepEqual(onDisk.errors.map(e => [e.id, e.reason, e.attempts]), [['way/2', 'throttled', 2]]);
+        assert.deepEqual(onDisk.review, ['way/3']);
+        assert.equal(fs.statSync(journalPathFor(file)).size, 0);
+        await journal.close();
+        await reopened.close();
+        assert.equal(fs.existsSync(journalPathFor(file)), false);
+    });
+
+    await t.test('replaying the same entries twice does not count attempts twice', async () => {
+        const file = writeImport(dir);
+        const journal = await openProgressJournal(file, readImport(file));
+        await journal.markError('way/2', { reason: 'server-error', status: 503, permanent: false });
+        const line = fs.readFileSync(journalPathFor(file), 'utf8');
+        fs.appendFileSync(journalPathFor(file), line);
+        const state = await readProgressState(file, readImport(file));
+        assert.equal(state.errorMap.get('way/2').attempts, 1);
+        await journal.close();
+    });
+
+    await t.test('every compactEvery entries the arrays are written back and the journal truncated', async () => {
+        const file = writeImport(dir);
+        const journal = await openProgressJournal(file, readImport(file), { compactEvery: 2 });
+        await journal.markProgress('way/1');
+        assert.deepEqual(readImport(file).progress, []);
+        await journal.markProgress('way/2');
+        assert.deepEqual(readImport(file).progress, ['way/1', 'way/2']);
+        assert.equal(fs.statSync(journalPathFor(file)).size, 0);
+
+        await journal.markError('way/3', { reason: 'network', permanent: false });
+        await journal.markRecovered('way/3');
+        assert.deepEqual(readImport(file).progress, ['way/1', 'way/2', 'way/3']);
+        assert.deepEqual(readImport(file).errors, []);
+        await journal.close();
+    });
+
+    await t.test('close compacts what is left and removes the empty journal', async () => {
+        const file = writeImport(dir);
+        const journal = await openProgressJournal(file, readImport(file));
+        await journal.markReview('way/4');
+        await journal.markReviewResolved('way/4');
+        await journal.close();
+        const onDisk = readImport(file);
+        assert.deepEqual(onDisk.progress, ['way/4']);
+        assert.deepEqual(onDisk.review, []);
+        assert.equal(fs.existsSync(journalPathFor(file)), false);
+    });
+});
@@ -0,0 +1,76 @@
+/**
+ * OSM extract reader (osm-reader.js) against fixtures/osm/sample.osm.pbf and its XML twin sample.osm.
+ *
+ * The PBF was encoded with protoc from the OSM fileformat / osmformat schemas, not with this reader's code.
+ * It holds three blobs:
+ *   1. OSMHeader, zlib
+ *   2. OSMData, zlib, granularity 100: 5 dense nodes (one id > 2^32, one south of the equator), 3 ways
+ *      (one id > 2^32) and a multipolygon relation with way and node members
+ *   3. OSMData, raw, granularity 1000, lat_offset 700, lon_offset 100: 1 plain node
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { readOsmFile } = require('../osm-reader');
+
+const PBF = path.join(__dirname, '..', 'fixtures', 'osm', 'sample.osm.pbf');
+const XML = path.join(__dirname, '..', 'fixtures', 'osm', 'sample.osm');
+
+async function readAll(file, kinds = ['node', 'way', 'relation']) {
+    const out = { node: [], way: [], relation: [] };
+    const visitor = {};
+    for (const kind of kinds) visitor[kind] = (el) => out[kind].push(el);
+    await readOsmFile(file, visitor);
+    return out;
+}
+
+test('dense nodes: delta-coded ids and coordinates, tags per node', async () => {
+    const { node } = await readAll(PBF);
+    assert.deepEqual(node.slice(0, 5), [
+        { id: 1001, lat: 56.9496487, lon: 24.1051865, tags: { 'addr:street': 'Brīvības iela', 'addr:housenumber': '1' } },
+        { id: 1002, lat: 56.9497, lon: 24.1053, tags: {} },
+        { id: 1003, lat: 56.9495, lon: 24.1054, tags: {} },
+        { id: 1004, lat: 56.9494, lon: 24.105, tags: { entrance: 'main' } },
+        { id: 1099511627781, lat: -33.8688197, lon: 151.2092955, tags: {} },
+    ]);
+    assert.ok(Object.isFrozen(node[1].tags), 'tag-less nodes share the frozen empty tags');
+});
+
+test('plain nodes in a raw blob use the block granularity and offsets', async () => {
+    const { node } = await readAll(PBF);
+    assert.deepEqual(node[5], { id: 4001, lat: 57.1234567, lon: 25.0000001, tags: { 'addr:place': 'Bukulti', 'addr:housenumber': '5' } });
+});
+
+test('ways: delta-coded node refs', async () => {
+    const { way } = await readAll(PBF);
+    assert.deepEqual(way, [
+        { id: 2001, tags: { building: 'yes' }, refs: [1001, 1002, 1003, 1001] },
+        { id: 2002, tags: {}, refs: [1002, 1003, 1004, 1002] },
+        { id: 8589934592, tags: { 'addr:housenumber': '1' }, refs: [1001, 1099511627781] },
+    ]);
+});
+
+test('relations: member types, refs and roles', async () => {
+    const { relation } = await readAll(PBF);
+    assert.deepEqual(relation, [{
+        id: 3001,
+        tags: { type: 'multipolygon', name: 'Kalnieši' },
+        members: [
+            { type: 'way', ref: 2001, role: 'outer' },
+            { type: 'way', ref: 2002, role: 'inner' },
+            { type: 'node', ref: 1004, role: '' },
+        ],
+    }]);
+});
+
+test('only element types with a handler are decoded', async () => {
+    const { node, way, relation } = await readAll(PBF, ['way']);
+    assert.equal(node.length, 0);
+    assert.equal(way.length, 3);
+    assert.equal(relation.length, 0);
+});
+
+test('the XML twin reads the same elements', async () => {
+    assert.deepEqual(await readAll(XML), await readAll(PBF));
+});
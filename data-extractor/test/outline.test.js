@@ -0,0 +1,72 @@
+/**
+ * Alpha-shape outlines (outline.js): disjoint clusters, holes, ring orientation, convex fallback.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { alphaShape, convexHull } = require('../outline');
+
+/** n x n grid of points, `step` degrees apart, south-west corner at [lon, lat]. */
+function grid(lon, lat, n, step = 0.001, skip = () => false) {
+    const points = [];
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) if (!skip(i, j)) points.push([lon + i * step, lat + j * step]);
+    }
+    return points;
+}
+
+function signedArea(ring) {
+    let a = 0;
+    for (let i = 0; i < ring.length - 1; i++) a += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+    return a / 2;
+}
+
+function bbox(ring) {
+    const lons = ring.map(p => p[0]);
+    const lats = ring.map(p => p[1]);
+    return [Math.min(...lons), Math.min(...lats), Math.max(...lons), Math.max(...lats)];
+}
+
+test('disjoint clusters give a MultiPolygon with one closed, counter-clockwise ring each', async () => {
+    const riga = grid(24.1, 56.95, 5);
+    const jelgava = grid(23.7, 56.65, 5);
+    const shape = await alphaShape([...riga, ...jelgava], 400);
+    assert.equal(shape.type, 'MultiPolygon');
+    assert.equal(shape.coordinates.length, 2);
+    const boxes = [];
+    for (const polygon of shape.coordinates) {
+        assert.equal(polygon.length, 1, 'no holes in a full grid');
+        const ring = polygon[0];
+        assert.deepEqual(ring[0], ring[ring.length - 1]);
+        assert.ok(signedArea(ring) > 0, 'outer rings are counter-clockwise');
+        boxes.push(bbox(ring).map(v => Number(v.toFixed(6))));
+    }
+    boxes.sort((a, b) => a[0] - b[0]);
+    assert.deepEqual(boxes, [[23.7, 56.65, 23.704, 56.654], [24.1, 56.95, 24.104, 56.954]]);
+});
+
+test('one cluster gives a Polygon; an empty middle becomes a clockwise hole', async () => {
+    const full = await alphaShape(grid(24.1, 56.95, 5), 400);
+    assert.equal(full.type, 'Polygon');
+    assert.equal(full.coordinates.length, 1);
+
+    const ring = grid(24.1, 56.95, 12, 0.001, (i, j) => i >= 2 && i <= 9 && j >= 2 && j <= 9);
+    const shape = await alphaShape(ring, 150);
+    assert.equal(shape.type, 'Polygon');
+    assert.equal(shape.coordinates.length, 2);
+    assert.ok(signedArea(shape.coordinates[0]) > 0);
+    assert.ok(signedArea(shape.coordinates[1]) < 0, 'holes are clockwise');
+});
+
+test('too sparse for alpha gives null; the convex hull is the fallback', async () => {
+    const points = [[24.1, 56.9], [24.3, 56.9], [24.2, 57.1]];
+    assert.equal(await alphaShape(points, 400), null);
+    const hull = convexHull(points);
+    assert.equal(hull.type, 'Polygon');
+    assert.equal(hull.coordinates[0].length, 4);
+});
+
+test('fewer than three distinct points give no outline', async () => {
+    assert.equal(await alphaShape([[24.1, 56.9], [24.1, 56.9], [24.2, 56.9]], 400), null);
+    assert.equal(convexHull([[24.1, 56.9]]), null);
+});
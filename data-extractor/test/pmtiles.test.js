@@ -0,0 +1,137 @@
+/**
+ * PMTiles v3 writer (pmtiles.js): Hilbert tile ids and reading tiles back through the directories.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { writePmtiles, zxyToTileId } = require('../pmtiles');
+
+function readVarint(buf, pos) {
+    let value = 0;
+    let factor = 1;
+    for (;;) {
+        const byte = buf[pos.i++];
+        value += (byte & 0x7f) * factor;
+        if (byte < 0x80) return value;
+        factor *= 0x80;
+    }
+}
+
+/** Entries of a gzipped directory as the spec reads them (offset 0 = right after the previous entry). */
+function parseDirectory(gz) {
+    const buf = zlib.gunzipSync(gz);
+    const pos = { i: 0 };
+    const n = readVarint(buf, pos);
+    const entries = Array.from({ length: n }, () => ({}));
+    let last = 0;
+    for (const e of entries) { last += readVarint(buf, pos); e.tileId = last; }
+    for (const e of entries) e.runLength = readVarint(buf, pos);
+    for (const e of entries) e.length = readVarint(buf, pos);
+    entries.forEach((e, i) => {
+        const v = readVarint(buf, pos);
+        e.offset = v === 0 && i > 0 ? entries[i - 1].offset + entries[i - 1].length : v - 1;
+    });
+    return entries;
+}
+
+function readArchive(file) {
+    const buf = fs.readFileSync(file);
+    const u64 = (o) => Number(buf.readBigUInt64LE(o));
+    const header = {
+        magic: buf.toString('ascii', 0, 7), version: buf[7],
+        rootOffset: u64(8), rootLength: u64(16), metaOffset: u64(24), metaLength: u64(32),
+        leafOffset: u64(40), leafLength: u64(48), dataOffset: u64(56),
+        addressed: u64(72), entries: u64(80), contents: u64(88), minZoom: buf[100], maxZoom: buf[101],
+    };
+    const slice = (offset, length) => buf.subarray(offset, offset + length);
+    const root = parseDirectory(slice(header.rootOffset, header.rootLength));
+    const metadata = JSON.parse(zlib.gunzipSync(slice(header.metaOffset, header.metaLength)));
+
+    function find(entries, tileId) {
+        let hit = null;
+        for (const e of entries) if (e.tileId <= tileId) hit = e;
+        if (!hit) return null;
+        if (hit.runLength === 0) return find(parseDirectory(slice(header.leafOffset + hit.offset, hit.length)), tileId);
+        return tileId < hit.tileId + hit.runLength ? hit : null;
+    }
+    function getTile(z, x, y) {
+        const e = find(root, zxyToTileId(z, x, y));
+        return e ? slice(header.dataOffset + e.offset, e.length) : null;
+    }
+    return { header, root, metadata, getTile };
+}
+
+// Deterministic pseudo-random numbers (mulberry32)
+function random(seed) {
+    return () => {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+test('tile ids follow the Hilbert curve, lower zooms first', () => {
+    assert.equal(zxyToTileId(0, 0, 0), 0);
+    assert.deepEqual([[0, 0], [0, 1], [1, 1], [1, 0]].map(([x, y]) => zxyToTileId(1, x, y)), [1, 2, 3, 4]);
+    assert.equal(zxyToTileId(2, 0, 0), 5);
+    assert.equal(zxyToTileId(12, 3423, 1763), 19078479);
+    assert.equal(zxyToTileId(20, 0, 0), (4 ** 20 - 1) / 3);
+});
+
+test('pmtiles archive', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pmtiles-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    await t.test('tiles read back through the root directory; equal payloads are stored once', async () => {
+        const file = path.join(dir, 'small.pmtiles');
+        const same = Buffer.from('same');
+        const tiles = [
+            { z: 1, x: 1, y: 0, data: Buffer.from('z1 1/0') },
+            { z: 0, x: 0, y: 0, data: Buffer.from('z0') },
+            { z: 1, x: 0, y: 0, data: same },
+            { z: 1, x: 0, y: 1, data: same },
+            { z: 2, x: 3, y: 3, data: same },
+        ];
+        const result = await writePmtiles(file, tiles, { name: 'test' }, { bounds: [20, 55, 29, 59] });
+        assert.deepEqual({ tiles: result.tiles, contents: result.contents }, { tiles: 5, contents: 3 });
+
+        const archive = readArchive(file);
+        assert.equal(archive.header.magic, 'PMTiles');
+        assert.equal(archive.header.version, 3);
+        assert.equal(archive.header.leafLength, 0);
+        assert.deepEqual([archive.header.minZoom, archive.header.maxZoom], [0, 2]);
+        assert.deepEqual(archive.metadata, { name: 'test' });
+        // z1 0/0 and 0/1 are consecutive ids with the same payload: one run-length entry
+        assert.deepEqual(archive.root.map(e => [e.tileId, e.runLength]), [[0, 1], [1, 2], [4, 1], [zxyToTileId(2, 3, 3), 1]]);
+        for (const tile of tiles) assert.equal(archive.getTile(tile.z, tile.x, tile.y).toString(), tile.data.toString());
+        assert.equal(archive.getTile(1, 1, 1), null);
+    });
+
+    await t.test('a directory too large for the first 16 KiB is split into leaf directories', async () => {
+        const file = path.join(dir, 'large.pmtiles');
+        const next = random(7);
+        const tiles = [];
+        const seen = new Set();
+        while (tiles.length < 30000) {
+            const x = Math.floor(next() * 1024), y = Math.floor(next() * 1024);
+            if (seen.has(`${x}/${y}`)) continue;
+            seen.add(`${x}/${y}`);
+            tiles.push({ z: 10, x, y, data: Buffer.from(`${x}/${y}`.padEnd(5 + Math.floor(next() * 40), '.')) });
+        }
+        await writePmtiles(file, tiles, {});
+        const archive = readArchive(file);
+        assert.ok(archive.header.leafLength > 0, 'leaf directories written');
+        assert.ok(archive.header.rootLength <= 16384 - 127);
+        assert.ok(archive.root.every(e => e.runLength === 0));
+        for (let i = 0; i < tiles.length; i += 997) {
+            const { x, y, data } = tiles[i];
+            assert.equal(archive.getTile(10, x, y).toString(), data.toString());
+        }
+        assert.equal(archive.header.addressed, 30000);
+    });
+});
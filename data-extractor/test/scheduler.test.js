@@ -0,0 +1,76 @@
+/**
+ * Request scheduler against a local HTTP server: 429 + Retry-After, giving up after maxRetries, 4xx.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createRequestScheduler, parseRetryAfter } = require('../scheduler');
+
+/** Server answering each request with the next [status, headers] of `script` (the last one repeats). */
+async function scriptedServer(script) {
+    const hits = [];
+    const server = http.createServer((req, res) => {
+        hits.push(Date.now());
+        const [status, headers = {}] = script[Math.min(hits.length, script.length) - 1];
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify({ status }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, hits, url: `http://127.0.0.1:${server.address().port}/` };
+}
+
+const OPTIONS = { name: 'test', logFile: false, initialIntervalMs: 0, baseBackoffMs: 10, maxBackoffMs: 20 };
+
+test('parseRetryAfter reads delta seconds and HTTP dates', () => {
+    assert.equal(parseRetryAfter('2'), 2000);
+    assert.equal(parseRetryAfter(null), null);
+    assert.equal(parseRetryAfter('soon'), null);
+    const ms = parseRetryAfter(new Date(Date.now() + 5000).toUTCString());
+    assert.ok(ms > 3000 && ms <= 5000, `got ${ms}`);
+});
+
+test('request scheduler', async (t) => {
+    const servers = [];
+    t.after(() => servers.forEach(s => s.close()));
+
+    await t.test('429 with Retry-After pauses, then the request is retried', async () => {
+        const { server, hits, url } = await scriptedServer([[429, { 'Retry-After': '0.3' }], [200]]);
+        servers.push(server);
+        const scheduler = createRequestScheduler(OPTIONS);
+        const resp = await scheduler.get(url);
+        assert.equal(resp.status, 200);
+        assert.equal(hits.length, 2);
+        assert.ok(hits[1] - hits[0] >= 290, `retried after ${hits[1] - hits[0]}ms`);
+        const stats = scheduler.stats();
+        assert.equal(stats.requests, 2);
+        assert.equal(stats.throttled, 1);
+        assert.equal(stats.retries, 1);
+        assert.equal(stats.ok, 1);
+        assert.equal(stats.failed, 0);
+        assert.ok(stats.intervalMs > 0, 'interval is raised after a 429');
+        scheduler.close();
+    });
+
+    await t.test('transient errors are given up after maxRetries', async () => {
+        const { server, hits, url } = await scriptedServer([[503]]);
+        servers.push(server);
+        const scheduler = createRequestScheduler({ ...OPTIONS, maxRetries: 2 });
+        await assert.rejects(scheduler.get(url), err => err.response?.status === 503);
+        assert.equal(hits.length, 3);
+        const stats = scheduler.stats();
+        assert.equal(stats.retries, 2);
+        assert.equal(stats.failed, 1);
+        scheduler.close();
+    });
+
+    await t.test('other 4xx answers are not retried', async () => {
+        const { server, hits, url } = await scriptedServer([[404]]);
+        servers.push(server);
+        const scheduler = createRequestScheduler(OPTIONS);
+        await assert.rejects(scheduler.get(url), err => err.response?.status === 404);
+        assert.equal(hits.length, 1);
+        assert.equal(scheduler.stats().retries, 0);
+        scheduler.close();
+    });
+});
@@ -0,0 +1,67 @@
+/**
+ * Tet provider adapter against mock-gateway.js serving fixtures/gateway/ (no network).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockGateway } = require('../mock-gateway');
+const { createTetProvider } = require('../providers/tet');
+const { createRequestScheduler } = require('../scheduler');
+const { NO_SEARCH_HITS } = require('../address-variants');
+
+const RIGA_PROPS = { 'addr:street': 'Brīvības iela', 'addr:housenumber': '1', 'addr:city': 'Rīga' };
+
+test('tet provider against the mock gateway', async (t) => {
+    const server = createMockGateway();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const http = createRequestScheduler({ name: 'test', initialIntervalMs: 0, logFile: false });
+    const provider = createTetProvider({ http, baseUrl: `http://127.0.0.1:${server.address().port}/api/` });
+    t.after(() => {
+        http.close();
+        server.close();
+    });
+
+    await t.test('searchAddress picks the hit matching the OSM tags', async () => {
+        const match = await provider.searchAddress('Brīvības iela 1, Rīga', RIGA_PROPS);
+        assert.equal(match.addressKey, '101010001');
+        assert.equal(match.confidence, 1);
+        assert.equal(match.candidates, 2);
+        assert.equal(match.label, 'Brīvības iela 1, Rīga, LV-1050');
+    });
+
+    await t.test('searchAddress rejects unknown addresses with NO_SEARCH_HITS', async () => {
+        await assert.rejects(
+            provider.searchAddress('Neesošā iela 1, Rīga', { ...RIGA_PROPS, 'addr:street': 'Neesošā iela' }),
+            { code: NO_SEARCH_HITS },
+        );
+    });
+
+    await t.test('fetchServices + normalizeOffers map the services payload', async () => {
+        const raw = await provider.fetchServices({ addressKey: '101010001' });
+        const offers = provider.normalizeOffers(raw);
+        assert.equal(offers.length, 4);
+        assert.deepEqual(offers[0], {
+            connectionType: 'Fiber (Optikas)',
+            originalTitle: 'Optikas internets 500',
+            speed: { minMbit: 300, maxMbit: 500 },
+            features: ['Neierobežots datu apjoms', 'Wi-Fi rūteris'],
+            techInfo: 'Optiskā šķiedra',
+            pricePerMonthEur: 24.99,
+            currency: 'EUR',
+            terms: ['Līgums uz 24 mēnešiem', '24.99 EUR/mēn.'],
+            promotion: false,
+            contractTermMonths: 24,
+            promotionCode: null,
+        });
+        assert.deepEqual(offers.map(o => [o.connectionType, o.promotion]), [
+            ['Fiber (Optikas)', false],
+            ['Fiber (Optikas)', true],
+            ['Mobile (4G/5G)', false],
+            ['Mobile (4G/5G)', true],
+        ]);
+    });
+
+    await t.test('fetchServices rejects unknown address keys with the gateway status', async () => {
+        await assert.rejects(provider.fetchServices({ addressKey: '999999999' }), err => err.response?.status === 404);
+    });
+});
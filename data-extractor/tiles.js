@@ -0,0 +1,193 @@
+/**
+ * Vector tile archive (PMTiles, MVT) of all exports for an overview map at every zoom.
+ *
+ * Layers:
+ *   addresses   zoom addressMinZoom..maxZoom, one point per address (latest record per provider + id):
+ *                 id, address, type (best normalized connection type), types, fiber, offers,
+ *                 min_price, min_promo_price, max_speed
+ *   aggregates  zoom 0..addressMinZoom-1, one point per grid cell (cellsPerTile x cellsPerTile cells per
+ *               tile) at the mean position of its addresses:
+ *                 count, fiber, fiber_share, min_price, median_price, type (most common best type)
+ *
+ * Config (extractor.config.json): "tiles": { "maxZoom": 14, "addressMinZoom": 12, "cellsPerTile": 16 }.
+ * Output: exports/tiles/offers.pmtiles (serve it with HTTP range requests, see frontend tiles-layer.js).
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const zlib = require('zlib');
+const vtpbf = require('vt-pbf');
+const { loadConfig } = require('./config');
+const { getPointFromGeometry } = require('./boundaries');
+const { normalizeConnectionType } = require('./area-stats');
+const { readLatestRecords } = require('./formats');
+const { writePmtiles } = require('./pmtiles');
+
+const EXTENT = 4096;
+const TYPE_RANK = ['fiber', 'cable', 'dsl', 'mobile', 'satellite'];
+const DEFAULT_TILE_OPTIONS = { maxZoom: 14, addressMinZoom: 12, cellsPerTile: 16 };
+
+function tileOptions() {
+    const opts = { ...DEFAULT_TILE_OPTIONS, ...(loadConfig().tiles || {}) };
+    opts.maxZoom = Math.min(Math.max(0, opts.maxZoom | 0), 20);
+    opts.addressMinZoom = Math.min(Math.max(0, opts.addressMinZoom | 0), opts.maxZoom);
+    return opts;
+}
+
+/** Web Mercator position of lon/lat at zoom z in tile units (x, y fractional). */
+function project(lon, lat, z) {
+    const n = 2 ** z;
+    const sin = Math.sin(Math.max(-85.0511, Math.min(85.0511, lat)) * Math.PI / 180);
+    return {
+        x: ((lon + 180) / 360) * n,
+        y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * n,
+    };
+}
+
+function bestType(types) {
+    for (const t of TYPE_RANK) if (types.has(t)) return t;
+    return types.size ? Array.from(types)[0] : 'unknown';
+}
+
+function round2(n) {
+    return Math.round(n * 100) / 100;
+}
+
+/** Point attributes of one export record (null values are left out: MVT has no null). */
+function addressPoint(record) {
+    const pt = getPointFromGeometry(record.geometry);
+    if (!pt || typeof pt[0] !== 'number' || typeof pt[1] !== 'number') return null;
+    const types = new Set(record.offers.map(o => normalizeConnectionType(o.connectionType)));
+    const regular = record.offers.filter(o => !o.promotion && typeof o.pricePerMonthEur === 'number').map(o => o.pricePerMonthEur);
+    const promo = record.offers.filter(o => o.promotion && typeof o.pricePerMonthEur === 'number').map(o => o.pricePerMonthEur);
+    const speeds = record.offers.flatMap(o => [o.speed?.minMbit, o.speed?.maxMbit, o.speed?.upToMbit]).filter(v => typeof v === 'number');
+    const props = {
+        id: String(record.id),
+        address: record.address || '',
+        type: bestType(types),
+        types: Array.from(types).sort().join(','),
+        fiber: types.has('fiber'),
+        offers: record.offers.length,
+    };
+    if (regular.length) props.min_price = round2(Math.min(...regular));
+    if (promo.length) props.min_promo_price = round2(Math.min(...promo));
+    if (speeds.length) props.max_speed = Math.max(...speeds);
+    return { lon: pt[0], lat: pt[1], props };
+}
+
+function median(values) {
+    const s = values.slice().sort((a, b) => a - b);
+    const mid = s.length >> 1;
+    return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+function addFeature(tiles, z, lon, lat, tags) {
+    const p = project(lon, lat, z);
+    const x = Math.floor(p.x), y = Math.floor(p.y);
+    const key = `${z}/${x}/${y}`;
+    if (!tiles.has(key)) tiles.set(key, { z, x, y, addresses: [], aggregates: [] });
+    const geometry = [[Math.min(EXTENT - 1, Math.floor((p.x - x) * EXTENT)), Math.min(EXTENT - 1, Math.floor((p.y - y) * EXTENT))]];
+    return { tile: tiles.get(key), feature: { type: 1, geometry, tags } };
+}
+
+function aggregateCells(points, z, cellsPerTile) {
+    const cells = new Map();
+    for (const pt of points) {
+        const p = project(pt.lon, pt.lat, z);
+        const key = `${Math.floor(p.x * cellsPerTile)}/${Math.floor(p.y * cellsPerTile)}`;
+        if (!cells.has(key)) cells.set(key, { lon: 0, lat: 0, count: 0, fiber: 0, prices: [], types: new Map() });
+        const c = cells.get(key);
+        c.lon += pt.lon; c.lat += pt.lat; c.count++;
+        if (pt.props.fiber) c.fiber++;
+        if (pt.props.min_price != null) c.prices.push(pt.props.min_price);
+        c.types.set(pt.props.type, (c.types.get(pt.props.type) || 0) + 1);
+    }
+    const out = [];
+    for (const c of cells.values()) {
+        const tags = {
+            count: c.count,
+            fiber: c.fiber,
+            fiber_share: Math.round((c.fiber / c.count) * 1000) / 1000,
+            type: Array.from(c.types.entries()).sort((a, b) => b[1] - a[1] || TYPE_RANK.indexOf(a[0]) - TYPE_RANK.indexOf(b[0]))[0][0],
+        };
+        if (c.prices.length) {
+            // One low-zoom cell can hold the whole country: too many prices to spread into Math.min
+            tags.min_price = round2(c.prices.reduce((m, p) => (p < m ? p : m), Infinity));
+            tags.median_price = round2(median(c.prices));
+        }
+        out.push({ lon: c.lon / c.count, lat: c.lat / c.count, tags });
+    }
+    return out;
+}
+
+/**
+ * Build exports/tiles/offers.pmtiles from every export NDJSON. Resolves with
+ * { file, addresses, tiles, contents, bytes, minZoom, maxZoom }.
+ */
+async function buildVectorTiles(exportsDir) {
+    const opts = tileOptions();
+    const names = (fs.existsSync(exportsDir) ? await fsp.readdir(exportsDir) : []).filter(f => f.toLowerCase().endsWith('.ndjson')).sort();
+    const points = [];
+    for (const name of names) {
+        for (const record of await readLatestRecords(path.join(exportsDir, name))) {
+            const pt = addressPoint(record);
+            if (pt) points.push(pt);
+        }
+    }
+    const outDir = path.join(exportsDir, 'tiles');
+    await fsp.mkdir(outDir, { recursive: true });
+    const file = path.join(outDir, 'offers.pmtiles');
+    if (!points.length) return { file: null, addresses: 0, tiles: 0 };
+
+    const tiles = new Map();
+    for (let z = 0; z < opts.addressMinZoom; z++) {
+        for (const cell of aggregateCells(points, z, opts.cellsPerTile)) {
+            const { tile, feature } = addFeature(tiles, z, cell.lon, cell.lat, cell.tags);
+            tile.aggregates.push(feature);
+        }
+    }
+    for (let z = opts.addressMinZoom; z <= opts.maxZoom; z++) {
+        for (const pt of points) {
+            const { tile, feature } = addFeature(tiles, z, pt.lon, pt.lat, pt.props);
+            tile.addresses.push(feature);
+        }
+    }
+
+    const encoded = [];
+    for (const t of tiles.values()) {
+        const layers = {};
+        if (t.addresses.length) layers.addresses = { features: t.addresses };
+        if (t.aggregates.length) layers.aggregates = { features: t.aggregates };
+        const pbf = vtpbf.fromGeojsonVt(layers, { version: 2, extent: EXTENT });
+        encoded.push({ z: t.z, x: t.x, y: t.y, data: zlib.gzipSync(Buffer.from(pbf)) });
+    }
+
+    let minLon = Infinity, minLat = Infinity, maxLon = -Infinity, maxLat = -Infinity;
+    for (const p of points) {
+        if (p.lon < minLon) minLon = p.lon; if (p.lon > maxLon) maxLon = p.lon;
+        if (p.lat < minLat) minLat = p.lat; if (p.lat > maxLat) maxLat = p.lat;
+    }
+    const metadata = {
+        name: 'tet-offers',
+        description: 'Internet offers per address (addresses) and per-zoom grid aggregates (aggregates)',
+        attribution: '© OpenStreetMap contributors',
+        vector_layers: [
+            {
+                id: 'aggregates', minzoom: 0, maxzoom: Math.max(0, opts.addressMinZoom - 1),
+                fields: { count: 'Number', fiber: 'Number', fiber_share: 'Number', min_price: 'Number', median_price: 'Number', type: 'String' },
+            },
+            {
+                id: 'addresses', minzoom: opts.addressMinZoom, maxzoom: opts.maxZoom,
+                fields: { id: 'String', address: 'String', type: 'String', types: 'String', fiber: 'Boolean', offers: 'Number', min_price: 'Number', min_promo_price: 'Number', max_speed: 'Number' },
+            },
+        ],
+    };
+    const result = await writePmtiles(file, encoded, metadata, {
+        bounds: [minLon, minLat, maxLon, maxLat],
+        center: [(minLon + maxLon) / 2, (minLat + maxLat) / 2, Math.min(7, opts.maxZoom)],
+    });
+    return { file, addresses: points.length, minZoom: 0, maxZoom: opts.maxZoom, ...result };
+}
+
+module.exports = { buildVectorTiles, DEFAULT_TILE_OPTIONS };
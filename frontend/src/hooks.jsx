@@ -1,6 +1,6 @@
 import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import axios from 'axios';
-// pointer-utils imported elsewhere where needed
+import { outlineBBox } from './pointer-utils.js';
 import { MapManager } from './map.js';
 import { AddressSearch, DataUtils } from './utils.js';
 import { StorageManager } from './storage.js';
@@ -16,6 +16,8 @@ export const useMap = (onPropertyClick) => {
     if (!mapInitialized.current && containerElement) {
       const manager = new MapManager(containerElement);
       manager.showPropertyDetails = onPropertyClick;
+      // Optional country-wide overview from the extractor's vector tiles (data-extractor: npm run tiles)
+      manager.setOverviewTiles(import.meta.env.VITE_TILES_URL);
       setMapManager(manager);
       mapInitialized.current = true;
     }
@@ -93,8 +95,8 @@ export const useStorage = () => {
     // Region caching passthroughs
     saveRegionPointer: (p) => storageManager.saveRegionPointer(p),
     getRegionPointer: () => storageManager.getRegionPointer(),
-    getOrInvalidateRegion: (name, ts) => storageManager.getOrInvalidateRegion(name, ts),
-    saveRegionDataset: (name, records, updatedAt) => storageManager.saveRegionDataset(name, records, updatedAt),
+    getOrInvalidateRegion: (name, hash, ts) => storageManager.getOrInvalidateRegion(name, hash, ts),
+    saveRegionDataset: (name, records, updatedAt, hash) => storageManager.saveRegionDataset(name, records, updatedAt, hash),
     getRegionDataset: (name) => storageManager.getRegionDataset(name),
     getCachedRegionNames: () => storageManager.getCachedRegionNames(),
   // User pointer & dataset helpers
@@ -145,11 +147,9 @@ export const useData = (storageManager) => {
   const resp = await axios.get(url);
         const arr = (Array.isArray(resp.data) ? resp.data : []).map(e => {
           // Derive bbox if not present
-          if (!e.bbox && e.outline && e.outline.type === 'Polygon') {
-            const ring = e.outline.coordinates?.[0] || [];
-            let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-            ring.forEach(p => { if (!p) return; if (p[0] < minX) minX = p[0]; if (p[0] > maxX) maxX = p[0]; if (p[1] < minY) minY = p[1]; if (p[1] > maxY) maxY = p[1]; });
-            e.bbox = [minX, minY, maxX, maxY];
+          if (!e.bbox && e.outline) {
+            const bbox = outlineBBox(e.outline);
+            if (bbox) e.bbox = bbox;
           }
           // unify filename property to .file used later
           if (!e.file) e.file = e.path || e.name;
@@ -208,8 +208,8 @@ export const useData = (storageManager) => {
       if (loadingRegionsRef.current.has(region.name)) continue;
       loadingRegionsRef.current.add(region.name);
       try {
-        // Attempt cache retrieval first (expectedUpdatedAt uses region.updatedAt if provided)
-        const cached = storageManager?.getOrInvalidateRegion ? await storageManager.getOrInvalidateRegion(region.name, region.updatedAt) : null;
+        // Attempt cache retrieval first (validated by region.hash, or region.updatedAt for older pointers)
+        const cached = storageManager?.getOrInvalidateRegion ? await storageManager.getOrInvalidateRegion(region.name, region.hash, region.updatedAt) : null;
         // Debug logging
         if (cached) {
           console.debug('[RegionCache] Using cached region', region.name, 'records:', cached.length);
@@ -223,9 +223,9 @@ export const useData = (storageManager) => {
           const url = baseDataURL + region.file;
           const resp = await axios.get(url, { responseType: 'text' });
           records = DataUtils.parseNDJSON(resp.data).filter(DataUtils.isValidTETProperty);
-          // Save cache with region.updatedAt or current time
+          // Save cache with region.hash and region.updatedAt (or current time)
           if (storageManager?.saveRegionDataset) {
-            await storageManager.saveRegionDataset(region.name, records, region.updatedAt);
+            await storageManager.saveRegionDataset(region.name, records, region.updatedAt, region.hash);
             console.debug('[RegionCache] Saved region to cache', region.name, 'count', records.length);
           }
         }
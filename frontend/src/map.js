@@ -1,5 +1,6 @@
 import L from 'leaflet';
 import { DataUtils } from './utils.js';
+import { createOverviewTilesLayer } from './tiles-layer.js';
 
 /**
  * Map management class for handling Leaflet map and data visualization
@@ -12,6 +13,7 @@ export class MapManager {
     this.userLayer = null;
     this.regionsOutlineLayer = null;
     this.sectorsLayer = null;
+    this.overviewTilesLayer = null; // optional vector tile overview (VITE_TILES_URL)
     this.sectorsVisible = false;
     this.typeFilters = new Set(); // empty => show all
     this._autoLogBounds = false; // disabled by default; can be toggled for prototyping
@@ -20,6 +22,18 @@ export class MapManager {
     this.init();
   }
 
+  /** Outline tooltip: name, count and (pointer schema v2) fiber share, median regular price, speed range */
+  _regionTooltip(entry) {
+    const parts = [`${entry.name.replace('.ndjson', '')} (${entry.count ?? '?'})`];
+    if (entry.schemaVersion >= 2) {
+      if (typeof entry.fiberShare === 'number') parts.push(`fiber ${Math.round(entry.fiberShare * 100)}%`);
+      const median = entry.prices?.regular?.median;
+      if (typeof median === 'number') parts.push(`€${median.toFixed(2)}`);
+      if (entry.speed) parts.push(`${entry.speed.minMbit}–${entry.speed.maxMbit} Mbit`);
+    }
+    return parts.join(' · ');
+  }
+
   /** Deterministic pastel-ish color for a region name */
   _colorForRegion(name) {
     if (!name) return '#64748b';
@@ -292,7 +306,9 @@ export class MapManager {
 
   /** Set connection type filters (array of canonical types). Empty => show all */
   setTypeFilters(types) {
+    const changed = [...new Set(types || [])].sort().join(',') !== [...this.typeFilters].sort().join(',');
     this.typeFilters = new Set(types || []);
+    if (changed && this.overviewTilesLayer) this.overviewTilesLayer.redraw();
     // Re-render by rebuilding layers only if they should be visible
     if (this.tetDataCache && this.map.hasLayer(this.tetLayer)) {
       this.addTETData(this.tetDataCache);
@@ -575,7 +591,7 @@ export class MapManager {
     // Always rebuild so loaded/unloaded style changes apply immediately
     this.regionsOutlineLayer.clearLayers();
     pointerEntries.forEach(entry => {
-      if (!entry || !entry.outline || entry.outline.type !== 'Polygon') return;
+      if (!entry || !entry.outline || (entry.outline.type !== 'Polygon' && entry.outline.type !== 'MultiPolygon')) return;
       try {
         const feature = { type: 'Feature', geometry: entry.outline, properties: { name: entry.name, count: entry.count } };
         const baseColor = this._colorForRegion(entry.name);
@@ -593,7 +609,7 @@ export class MapManager {
           }),
           outlineRegion: true,
           onEachFeature: (feat, layer) => {
-            layer.bindTooltip(`${entry.name.replace('.ndjson', '')} (${entry.count ?? '?'})`, { sticky: true });
+            layer.bindTooltip(this._regionTooltip(entry), { sticky: true });
             layer.on('click', () => {
               const b = layer.getBounds();
               if (!b.isValid()) return;
@@ -616,10 +632,21 @@ export class MapManager {
     this._updateOutlineVisibility();
   }
 
+  /** Show the extractor's PMTiles archive (whole country at every zoom) below the outline threshold zoom */
+  setOverviewTiles(url) {
+    if (!this.map || this.overviewTilesLayer || !url) return;
+    this.overviewTilesLayer = createOverviewTilesLayer(url, { typeFilter: (type) => this._passesFilter(type) });
+    this._updateOutlineVisibility();
+  }
+
   _updateOutlineVisibility() {
     if (!this.map || !this.regionsOutlineLayer) return;
     const z = this.map.getZoom();
     const shouldShow = z < this._outlineThresholdZoom;
+    if (this.overviewTilesLayer) {
+      if (shouldShow && !this.map.hasLayer(this.overviewTilesLayer)) this.overviewTilesLayer.addTo(this.map);
+      else if (!shouldShow && this.map.hasLayer(this.overviewTilesLayer)) this.map.removeLayer(this.overviewTilesLayer);
+    }
     if (shouldShow && !this._outlinesCurrentlyVisible) {
       this.regionsOutlineLayer.addTo(this.map);
       this._outlinesCurrentlyVisible = true;
@@ -1,4 +1,7 @@
 // Utilities for pointer / outline computations (mirrors backend logic simplified)
+import Delaunator from 'delaunator';
+
+export const DEFAULT_ALPHA_METERS = 400;
 
 // Collect all coordinate points from a GeoJSON geometry
 export function collectCoords(geometry, collector) {
@@ -61,6 +64,96 @@ export function buildOutlinePolygon(points) {
   return { type: 'Polygon', coordinates: [ring] };
 }
 
+function signedArea(ring) {
+  let a = 0;
+  for (let i = 0; i < ring.length - 1; i++) a += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  return a / 2;
+}
+
+function pointInRing(point, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (((yi > point[1]) !== (yj > point[1])) && (point[0] < (xj - xi) * (point[1] - yi) / (yj - yi) + xi)) inside = !inside;
+  }
+  return inside;
+}
+
+// Concave hull (alpha shape, see data-extractor/outline.js): Delaunay triangles with circumradius
+// <= alphaMeters are kept and their boundary traced. Returns Polygon, MultiPolygon (disjoint clusters)
+// or falls back to the convex hull when nothing survives.
+export function buildConcaveOutline(points, alphaMeters = DEFAULT_ALPHA_METERS) {
+  const uniqMap = new Map();
+  for (const p of points || []) {
+    if (!Array.isArray(p) || p.length < 2) continue;
+    const key = p[0] + ':' + p[1];
+    if (!uniqMap.has(key)) uniqMap.set(key, p);
+  }
+  const uniq = Array.from(uniqMap.values());
+  if (uniq.length < 3) return null;
+  // Local equirectangular projection so alpha is in meters
+  const lat0 = uniq.reduce((s, p) => s + p[1], 0) / uniq.length;
+  const kx = 111320 * Math.cos(lat0 * Math.PI / 180);
+  const xy = uniq.map(p => [p[0] * kx, p[1] * 110540]);
+  const { triangles, halfedges } = Delaunator.from(xy);
+  const keep = new Uint8Array(triangles.length / 3);
+  for (let t = 0; t < keep.length; t++) {
+    const a = xy[triangles[3 * t]], b = xy[triangles[3 * t + 1]], c = xy[triangles[3 * t + 2]];
+    const area2 = Math.abs((b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]));
+    if (area2 === 0) continue;
+    const r = (Math.hypot(a[0] - b[0], a[1] - b[1]) * Math.hypot(b[0] - c[0], b[1] - c[1]) * Math.hypot(c[0] - a[0], c[1] - a[1])) / (2 * area2);
+    if (r <= alphaMeters) keep[t] = 1;
+  }
+  const next = new Map();
+  for (let e = 0; e < triangles.length; e++) {
+    if (!keep[Math.floor(e / 3)]) continue;
+    const twin = halfedges[e];
+    if (twin !== -1 && keep[Math.floor(twin / 3)]) continue;
+    const from = triangles[e];
+    const to = triangles[e % 3 === 2 ? e - 2 : e + 1];
+    if (!next.has(from)) next.set(from, []);
+    next.get(from).push(to);
+  }
+  const rings = [];
+  for (const start of next.keys()) {
+    while (next.get(start).length) {
+      const ids = [start];
+      let cur = next.get(start).pop();
+      while (cur !== start) {
+        ids.push(cur);
+        const outs = next.get(cur);
+        if (!outs || !outs.length) break;
+        cur = outs.pop();
+      }
+      if (cur === start && ids.length >= 3) rings.push(ids.map(i => uniq[i]).concat([uniq[start]]));
+    }
+  }
+  // Largest rings first; a ring inside an existing outer ring becomes its hole
+  rings.sort((a, b) => Math.abs(signedArea(b)) - Math.abs(signedArea(a)));
+  const polygons = [];
+  for (const ring of rings) {
+    const owner = polygons.find(p => pointInRing(ring[0], p[0]) && !p.slice(1).some(h => pointInRing(ring[0], h)));
+    const ccw = signedArea(ring) > 0;
+    if (owner) owner.push(ccw ? ring.slice().reverse() : ring);
+    else polygons.push([ccw ? ring : ring.slice().reverse()]);
+  }
+  if (!polygons.length) return buildOutlinePolygon(uniq);
+  return polygons.length === 1
+    ? { type: 'Polygon', coordinates: polygons[0] }
+    : { type: 'MultiPolygon', coordinates: polygons };
+}
+
+// Bounding box [minX, minY, maxX, maxY] of an outline (Polygon or MultiPolygon), or null
+export function outlineBBox(outline) {
+  if (!outline || (outline.type !== 'Polygon' && outline.type !== 'MultiPolygon')) return null;
+  const pts = [];
+  collectCoords(outline, pts);
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  pts.forEach(p => { if (!p) return; if (p[0] < minX) minX = p[0]; if (p[0] > maxX) maxX = p[0]; if (p[1] < minY) minY = p[1]; if (p[1] > maxY) maxY = p[1]; });
+  return minX === Infinity ? null : [minX, minY, maxX, maxY];
+}
+
 export function computeFurthestPoints(points) {
   if (!points || points.length === 0) return [];
   let west = points[0], east = points[0], north = points[0], south = points[0];
@@ -80,7 +173,7 @@ export function buildUserDatasetPointer(features, name) {
   features.forEach(f => {
     if (f && f.geometry) collectCoords(f.geometry, allPts);
   });
-  const outline = buildOutlinePolygon(allPts);
+  const outline = buildConcaveOutline(allPts);
   const furthestPoints = computeFurthestPoints(allPts);
   // Basic bbox
   let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
@@ -184,21 +184,27 @@ export class StorageManager {
     try { return await this.regionStore.getItem(`region_${name}`); } catch { return null; }
   }
 
-  async saveRegionDataset(name, records, updatedAt) {
+  async saveRegionDataset(name, records, updatedAt, hash) {
     try {
-      const payload = { updatedAt: updatedAt || new Date().toISOString(), records };
+      const payload = { updatedAt: updatedAt || new Date().toISOString(), hash: hash || null, records };
       await this.regionStore.setItem(`region_${name}`, payload);
       return payload;
     } catch (e) { console.error('Failed saving region dataset', name, e); return null; }
   }
 
-  /** Ensure region dataset fresh: returns records (from cache or null if needs fetch) */
-  async getOrInvalidateRegion(name, expectedUpdatedAt) {
+  /**
+   * Ensure region dataset fresh: returns records (from cache or null if needs fetch).
+   * Compares the pointer content hash; falls back to updatedAt for pointers without one.
+   */
+  async getOrInvalidateRegion(name, expectedHash, expectedUpdatedAt) {
     const existing = await this.getRegionDataset(name);
     if (!existing) return null; // not cached
-    if (!expectedUpdatedAt) return existing.records; // no reference timestamp -> accept
-    if (existing.updatedAt === expectedUpdatedAt) return existing.records;
-    // timestamp mismatch -> invalidate
+    if (expectedHash) {
+      if (existing.hash === expectedHash) return existing.records;
+    } else if (!expectedUpdatedAt || existing.updatedAt === expectedUpdatedAt) {
+      return existing.records; // no reference hash -> timestamp (or accept)
+    }
+    // hash / timestamp mismatch -> invalidate
     await this.regionStore.removeItem(`region_${name}`);
     return null;
   }
@@ -0,0 +1,60 @@
+import L from 'leaflet';
+import { PMTiles } from 'pmtiles';
+import { VectorTile } from '@mapbox/vector-tile';
+import Pbf from 'pbf';
+import { DataUtils } from './utils.js';
+
+/**
+ * Overview layer drawing the extractor's vector tile archive (data-extractor `--tiles`,
+ * exports/tiles/offers.pmtiles) on a canvas grid layer: grid aggregates at low zooms, one dot per
+ * address from the archive's address zoom on. Tiles above the archive's max zoom are overzoomed.
+ */
+export function createOverviewTilesLayer(url, { typeFilter = () => true } = {}) {
+  const archive = new PMTiles(url);
+  const layer = L.gridLayer({ tileSize: 256, pane: 'overlayPane', updateWhenZooming: false });
+
+  archive.getHeader().then(header => {
+    layer.options.maxNativeZoom = header.maxZoom;
+    layer.redraw();
+  }).catch(e => console.warn('Overview tiles unavailable:', e));
+
+  layer.createTile = function (coords, done) {
+    const canvas = L.DomUtil.create('canvas', 'leaflet-tile');
+    const size = this.getTileSize();
+    canvas.width = size.x;
+    canvas.height = size.y;
+    archive.getZxy(coords.z, coords.x, coords.y).then(tile => {
+      if (tile) drawTile(canvas, new VectorTile(new Pbf(new Uint8Array(tile.data))), typeFilter);
+      done(null, canvas);
+    }).catch(e => done(e, canvas));
+    return canvas;
+  };
+
+  return layer;
+}
+
+function drawTile(canvas, tile, typeFilter) {
+  const ctx = canvas.getContext('2d');
+  for (const name of ['aggregates', 'addresses']) {
+    const vl = tile.layers[name];
+    if (!vl) continue;
+    const scale = canvas.width / vl.extent;
+    for (let i = 0; i < vl.length; i++) {
+      const feature = vl.feature(i);
+      const props = feature.properties;
+      if (!typeFilter(props.type)) continue;
+      const [[pt]] = feature.loadGeometry();
+      // Aggregates grow with the address count (log scale), addresses are fixed size dots
+      const radius = name === 'aggregates' ? Math.min(14, 3 + Math.log2(Number(props.count) || 1)) : 3;
+      ctx.beginPath();
+      ctx.arc(pt.x * scale, pt.y * scale, radius, 0, Math.PI * 2);
+      ctx.fillStyle = DataUtils.getConnectionColor(String(props.type || ''), false);
+      ctx.globalAlpha = 0.75;
+      ctx.fill();
+      ctx.globalAlpha = 1;
+      ctx.strokeStyle = '#ffffff';
+      ctx.lineWidth = 1;
+      ctx.stroke();
+    }
+  }
+}